@@ -0,0 +1,398 @@
+/**
+ * A Blaze template previewing a watermark on its target and letting the user
+ * move, resize and rotate it and change its opacity. The placement is kept
+ * in the form WatermarkConfig.watermark.image.at and text.at accept
+ */
+
+const {fontSize, resizeFont, clone} = WatermarkUtils;
+
+const HANDLE = 8;
+const ROTATE_DISTANCE = 24;
+
+/**
+ * The data given to {{> watermarkEditor}}
+ *
+ * @typedef {Object} EditorData
+ * @property {String|File|Image} target - the image to watermark
+ * @property {String|File|Image} mark - the watermark image, for image marks
+ * @property {String} text - the text to write, for text marks
+ * @property {String} font - same as the CSS font property, the initial font of text marks
+ * @property {String} color - the fill style, for text marks
+ * @property {Placement} options - the initial placement
+ * @property {Number} width - the width of the preview in px (default 600)
+ * @property {String} type - MIME type of the Blob, see Options.type
+ * @property {Number} quality - quality of the Blob, see Options.quality
+ * @property {ReactiveVar} placement - set to the Placement whenever the user changes it
+ * @property {ReactiveVar} resizedFont - set to the font of a text mark, with the size the user chose
+ * @property {ReactiveVar} blob - set to the watermarked Blob whenever the user changes the placement
+ * @property {Function} onChange - given the Placement, and the font of a text mark, whenever the user changes them
+ */
+
+/**
+ * The options of the mark centered at x, y, as image.at and text.at
+ * accept them. The size of a text mark is its font instead
+ *
+ * @typedef {Object} Placement
+ * @property {String} x - percentage of the target width
+ * @property {String} y - percentage of the target height
+ * @property {String} anchor - always 'center'
+ * @property {Number} alpha
+ * @property {Number} scale - size of an image mark as a fraction of the target width
+ * @property {Number} rotation - in degrees
+ */
+
+/**
+ * Round to the given number of decimals
+ *
+ * @param {Number} value
+ * @param {Number} decimals
+ * @return {Number}
+ */
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Return the initial placement of the editor
+ *
+ * @param {EditorData} data
+ * @return {Placement}
+ */
+function initialPlacement(data) {
+    const placement = {x: '50%', y: '50%', anchor: 'center', alpha: 0.5, rotation: 0};
+    data.mark && (placement.scale = 0.2);
+    Object.keys(data.options || {}).forEach(key => placement[key] = data.options[key]);
+    return placement;
+}
+
+/**
+ * Return the draw function for a placement
+ *
+ * @param {EditorData} data
+ * @param {Placement} placement
+ * @param {String} font - the font of a text mark
+ * @param {Number} ratio - size of the canvas drawn on relative to the target
+ * @return {Function}
+ */
+function drawFor(data, placement, font, ratio) {
+    const watermark = WatermarkConfig.watermark;
+    if (data.mark) {
+        return watermark.image.at(placement);
+    }
+
+    const scaled = resizeFont(font, fontSize(font) * ratio);
+    return watermark.text.at(data.text || '', scaled, data.color || '#fff', placement);
+}
+
+/**
+ * Return the center, size and rotation of the mark in px of the target
+ *
+ * @param {Blaze.TemplateInstance} instance
+ * @param {Placement} placement
+ * @param {String} font - the font of a text mark
+ * @return {Object} - x, y, width, height and rotation in degrees
+ */
+function markBox(instance, placement, font) {
+    const target = instance.images[0];
+    const box = {
+        x: parseFloat(placement.x) / 100 * target.width,
+        y: parseFloat(placement.y) / 100 * target.height,
+        rotation: placement.rotation || 0
+    };
+
+    if (instance.data.mark) {
+        const mark = instance.images[1];
+        box.width = target.width * placement.scale;
+        box.height = box.width * mark.height / mark.width;
+        return box;
+    }
+
+    const context = instance.canvas.getContext('2d');
+    const size = fontSize(font);
+    const lines = (instance.data.text || '').split('\n');
+    context.save();
+    context.font = font;
+    box.width = Math.max.apply(null, lines.map(line => context.measureText(line).width));
+    box.height = lines.length * size * 1.2;
+    context.restore();
+    return box;
+}
+
+/**
+ * Return a point of the target in the coordinates of the unrotated mark,
+ * its center being 0, 0
+ *
+ * @param {Object} box - see markBox
+ * @param {Object} point - x and y in px of the target
+ * @return {Object}
+ */
+function toMark(box, point) {
+    const radians = -box.rotation * Math.PI / 180;
+    const dx = point.x - box.x;
+    const dy = point.y - box.y;
+    return {
+        x: dx * Math.cos(radians) - dy * Math.sin(radians),
+        y: dx * Math.sin(radians) + dy * Math.cos(radians)
+    };
+}
+
+/**
+ * Return what a press at the point grabs: the 'rotate' or 'resize'
+ * handle, the mark to 'move', or null
+ *
+ * @param {Blaze.TemplateInstance} instance
+ * @param {Object} point - x and y in px of the target
+ * @return {String|null}
+ */
+function grab(instance, point) {
+    const box = markBox(instance, instance.placement.get(), instance.font.get());
+    const local = toMark(box, point);
+    const reach = HANDLE / instance.ratio;
+    const near = (x, y) => Math.abs(local.x - x) <= reach && Math.abs(local.y - y) <= reach;
+
+    if (near(0, -box.height / 2 - ROTATE_DISTANCE / instance.ratio)) {
+        return 'rotate';
+    }
+    if (near(box.width / 2, box.height / 2)) {
+        return 'resize';
+    }
+    if (Math.abs(local.x) <= box.width / 2 && Math.abs(local.y) <= box.height / 2) {
+        return 'move';
+    }
+    return null;
+}
+
+/**
+ * Return the position of a mouse event in px of the target
+ *
+ * @param {Blaze.TemplateInstance} instance
+ * @param {MouseEvent} event
+ * @return {Object}
+ */
+function eventPoint(instance, event) {
+    const rect = instance.canvas.getBoundingClientRect();
+    return {
+        x: (event.clientX - rect.left) / instance.ratio,
+        y: (event.clientY - rect.top) / instance.ratio
+    };
+}
+
+/**
+ * Return the placement and font changed by dragging from the start of a drag to the point
+ *
+ * @param {Blaze.TemplateInstance} instance
+ * @param {Object} drag - the mode, point, placement and font at the start of the drag
+ * @param {Object} point - x and y in px of the target
+ * @return {Object} - the placement and the font
+ */
+function dragged(instance, drag, point) {
+    const target = instance.images[0];
+    const placement = clone(drag.placement);
+    let font = drag.font;
+    const box = markBox(instance, drag.placement, drag.font);
+    const percent = (value, total) => `${round(Math.min(Math.max(value, 0), total) / total * 100, 1)}%`;
+
+    if (drag.mode === 'move') {
+        placement.x = percent(box.x + point.x - drag.point.x, target.width);
+        placement.y = percent(box.y + point.y - drag.point.y, target.height);
+    } else if (drag.mode === 'resize') {
+        const distance = p => Math.sqrt(Math.pow(p.x - box.x, 2) + Math.pow(p.y - box.y, 2));
+        const factor = distance(point) / (distance(drag.point) || 1);
+        if (instance.data.mark) {
+            placement.scale = round(Math.max(drag.placement.scale * factor, 0.01), 3);
+        } else {
+            font = resizeFont(font, Math.max(Math.round(fontSize(font) * factor), 4));
+        }
+    } else {
+        const angle = Math.atan2(point.y - box.y, point.x - box.x) * 180 / Math.PI + 90;
+        placement.rotation = Math.round(angle > 180 ? angle - 360 : angle);
+    }
+
+    return {placement, font};
+}
+
+/**
+ * Draw the target, the mark and the handles on the preview canvas
+ *
+ * @param {Blaze.TemplateInstance} instance
+ */
+function preview(instance) {
+    if (!instance.images) {
+        return;
+    }
+
+    const canvas = instance.canvas;
+    const target = instance.images[0];
+    const placement = instance.placement.get();
+    const font = instance.font.get();
+    const ratio = instance.ratio = Math.min(1, (instance.data.width || 600) / target.width);
+    canvas.width = Math.round(target.width * ratio);
+    canvas.height = Math.round(target.height * ratio);
+
+    const context = canvas.getContext('2d');
+    context.drawImage(target, 0, 0, canvas.width, canvas.height);
+    drawFor(instance.data, placement, font, ratio).apply(null, [canvas].concat(instance.images.slice(1)));
+
+    const box = markBox(instance, placement, font);
+    const width = box.width * ratio;
+    const height = box.height * ratio;
+    context.save();
+    context.translate(box.x * ratio, box.y * ratio);
+    context.rotate(box.rotation * Math.PI / 180);
+    context.strokeStyle = '#39f';
+    context.fillStyle = '#fff';
+    context.setLineDash && context.setLineDash([4, 4]);
+    context.strokeRect(-width / 2, -height / 2, width, height);
+    context.setLineDash && context.setLineDash([]);
+    context.fillRect(width / 2 - HANDLE / 2, height / 2 - HANDLE / 2, HANDLE, HANDLE);
+    context.strokeRect(width / 2 - HANDLE / 2, height / 2 - HANDLE / 2, HANDLE, HANDLE);
+    context.beginPath();
+    context.arc(0, -height / 2 - ROTATE_DISTANCE, HANDLE / 2, 0, 2 * Math.PI);
+    context.fill();
+    context.stroke();
+    context.restore();
+}
+
+/**
+ * Show why the target or the mark could not be drawn
+ *
+ * @param {Blaze.TemplateInstance} instance
+ * @param {Error} error
+ */
+function failed(instance, error) {
+    instance.error.set(error && error.message ? error.message : 'The image could not be watermarked');
+}
+
+/**
+ * Draw the target with the mark at full size into the blob. A render
+ * finishing after a newer one started is dropped
+ *
+ * @param {Blaze.TemplateInstance} instance
+ */
+function render(instance) {
+    const data = instance.data;
+    const resources = data.mark ? [data.target, data.mark] : [data.target];
+    const options = {};
+    const token = ++instance.renders;
+    data.type && (options.type = data.type);
+    data.quality && (options.quality = data.quality);
+
+    WatermarkConfig.watermark(resources, options, instance.loaded)
+        .blob(drawFor(data, instance.placement.get(), instance.font.get(), 1))
+        .then(blob => {
+            if (token === instance.renders) {
+                instance.error.set(null);
+                instance.blob.set(blob);
+            }
+        }, error => token === instance.renders && failed(instance, error));
+}
+
+/**
+ * Publish a placement the user settled on and draw the final Blob
+ *
+ * @param {Blaze.TemplateInstance} instance
+ */
+function settle(instance) {
+    const data = instance.data;
+    const placement = instance.placement.get();
+    const font = data.mark ? undefined : instance.font.get();
+
+    data.placement && data.placement.set(placement);
+    font && data.resizedFont && data.resizedFont.set(font);
+    typeof (data.onChange) === 'function' && data.onChange(placement, font);
+    render(instance);
+}
+
+Template.watermarkEditor.onCreated(function () {
+    this.placement = new ReactiveVar(initialPlacement(this.data));
+    this.font = new ReactiveVar(this.data.font || '32px sans-serif');
+    this.blob = this.data.blob || new ReactiveVar(null);
+    this.error = new ReactiveVar(null);
+    this.renders = 0;
+    this.ratio = 1;
+});
+
+Template.watermarkEditor.onRendered(function () {
+    const instance = this;
+    instance.canvas = instance.find('canvas');
+
+    instance.autorun(() => {
+        const data = Template.currentData();
+        const resources = data.mark ? [data.target, data.mark] : [data.target];
+        instance.images = null;
+        instance.error.set(null);
+        const loaded = instance.loaded = WatermarkConfig.watermark(resources).then(images => {
+            // resources given later replace these
+            if (instance.loaded === loaded) {
+                instance.images = images;
+                preview(instance);
+            }
+            return images;
+        });
+        loaded.then(() => instance.loaded === loaded && render(instance),
+            error => instance.loaded === loaded && failed(instance, error));
+    });
+
+    instance.autorun(() => {
+        instance.placement.get();
+        instance.font.get();
+        preview(instance);
+    });
+
+    instance.onMove = event => {
+        if (instance.drag) {
+            const change = dragged(instance, instance.drag, eventPoint(instance, event));
+            instance.placement.set(change.placement);
+            instance.font.set(change.font);
+        } else if (instance.images) {
+            const mode = grab(instance, eventPoint(instance, event));
+            instance.canvas.style.cursor = mode === 'move' ? 'move' : mode === 'resize' ? 'nwse-resize' :
+                mode === 'rotate' ? 'grab' : '';
+        }
+    };
+    instance.onUp = () => {
+        if (instance.drag) {
+            instance.drag = null;
+            settle(instance);
+        }
+    };
+    document.addEventListener('mousemove', instance.onMove);
+    document.addEventListener('mouseup', instance.onUp);
+});
+
+Template.watermarkEditor.onDestroyed(function () {
+    document.removeEventListener('mousemove', this.onMove);
+    document.removeEventListener('mouseup', this.onUp);
+});
+
+Template.watermarkEditor.helpers({
+    alpha: function () {
+        return Template.instance().placement.get().alpha;
+    },
+    error: function () {
+        return Template.instance().error.get();
+    }
+});
+
+Template.watermarkEditor.events({
+    'mousedown canvas': function (event, instance) {
+        if (!instance.images) {
+            return;
+        }
+        const point = eventPoint(instance, event);
+        const mode = grab(instance, point);
+        if (mode) {
+            event.preventDefault();
+            instance.drag = {mode, point, placement: instance.placement.get(), font: instance.font.get()};
+        }
+    },
+    'input input[type=range]': function (event, instance) {
+        const placement = clone(instance.placement.get());
+        placement.alpha = parseFloat(event.target.value);
+        instance.placement.set(placement);
+    },
+    'change input[type=range]': function (event, instance) {
+        settle(instance);
+    }
+});
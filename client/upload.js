@@ -0,0 +1,183 @@
+/**
+ * Watermarking of files on their way into Meteor-Files (ostrio:files) and
+ * CollectionFS collections
+ */
+
+const {clone, extend} = WatermarkUtils;
+
+/**
+ * A configuration type for upload hooks
+ *
+ * @typedef {Object} UploadOptions
+ * @property {String|Template} template - the template drawn on every image, see WatermarkConfig.watermark.fromTemplate
+ * @property {Function} draw - a draw function used instead of a template
+ * @property {Object|Function} vars - the values of the template variables, or a function given the file returning
+ * them. filename is set to the name of the file
+ * @property {Array} marks - the resources drawn after the file, such as a logo url
+ * @property {Options} options - the loading and output options, see WatermarkConfig.watermark
+ * @property {Function} filter - given the file, returns false for files uploaded as they are (default: images only)
+ */
+
+/**
+ * A watermarked file and the file it was made from
+ *
+ * @typedef {Object} Transformed
+ * @property {File|Blob} file - the watermarked file, or the file itself if it was not an image
+ * @property {File} original - the file given, null if it was not watermarked
+ */
+
+/**
+ * Return whether a file is an image the browser can decode
+ *
+ * @param {File} file
+ * @return {Boolean}
+ */
+function isImage(file) {
+    return /^image\/(jpeg|png|gif|webp|bmp)$/.test(file.type);
+}
+
+/**
+ * Give a Blob the name and modification date of the file it was made from
+ *
+ * @param {Blob} blob
+ * @param {File} file
+ * @return {File|Blob}
+ */
+function named(blob, file) {
+    try {
+        return new File([blob], file.name, {type: blob.type, lastModified: file.lastModified});
+    } catch (e) {
+        blob.name = file.name;
+        blob.lastModifiedDate = file.lastModifiedDate;
+        return blob;
+    }
+}
+
+/**
+ * Return a function watermarking a file according to the options
+ *
+ * @param {UploadOptions} config
+ * @return {Function} - given a File, returns a Promise evaluating to a Transformed
+ */
+function transformer(config) {
+    const filter = config.filter || isImage;
+
+    return function (file) {
+        if (!filter(file)) {
+            return Promise.resolve({file, original: null});
+        }
+
+        let draw = config.draw;
+        if (!draw) {
+            const vars = typeof (config.vars) === 'function' ? config.vars(file) : config.vars;
+            const values = extend(clone(vars || {}), {filename: file.name});
+            draw = WatermarkConfig.watermark.fromTemplate(config.template, values);
+        }
+
+        return WatermarkConfig.watermark([file].concat(config.marks || []), config.options)
+            .blob(draw)
+            .then(blob => ({file: named(blob, file), original: file}));
+    }
+}
+
+/**
+ * Upload a file to a Meteor-Files collection
+ *
+ * @param {FilesCollection} collection
+ * @param {Object} settings - the settings of FilesCollection#insert
+ * @return {Promise} - evaluates to the document of the file
+ */
+function insertMeteorFiles(collection, settings) {
+    return new Promise((resolve, reject) => {
+        collection.insert(extend(clone(settings), {
+            fileName: settings.file.name,
+            onUploaded: (error, fileRef) => {
+                settings.onUploaded && settings.onUploaded(error, fileRef);
+                error ? reject(error) : resolve(fileRef);
+            }
+        }), true);
+    });
+}
+
+/**
+ * Upload a file to a CollectionFS collection
+ *
+ * @param {FS.Collection} collection
+ * @param {File|Blob} file
+ * @param {Object} metadata
+ * @return {Promise} - evaluates to the FS.File inserted
+ */
+function insertCollectionFS(collection, file, metadata) {
+    const fsFile = new FS.File(file);
+    fsFile.name(file.name);
+    fsFile.metadata = metadata || {};
+    return new Promise((resolve, reject) => {
+        collection.insert(fsFile, (error, inserted) => error ? reject(error) : resolve(inserted));
+    });
+}
+
+/**
+ * Return an upload hook watermarking every image before it is uploaded
+ *
+ * @param {UploadOptions} config
+ * @return {Object}
+ */
+function upload(config) {
+    const transform = transformer(config);
+
+    return {
+        /**
+         * Watermark a file
+         *
+         * @param {File} file
+         * @return {Promise} - evaluates to a Transformed
+         */
+        transform,
+        /**
+         * Return an insert function for a Meteor-Files collection. When the
+         * originals collection is given, the unwatermarked file is uploaded
+         * to it first and its _id is kept in meta.originalId
+         *
+         * @param {FilesCollection} collection
+         * @param {FilesCollection} originals
+         * @return {Function} - given the settings of FilesCollection#insert, returns a Promise
+         * evaluating to the document of the watermarked file
+         */
+        meteorFiles: function (collection, originals) {
+            return settings => transform(settings.file).then(({file, original}) => {
+                const stored = original && originals ?
+                    insertMeteorFiles(originals, extend(clone(settings), {file: original, onUploaded: null})) :
+                    Promise.resolve(null);
+
+                return stored.then(originalRef => insertMeteorFiles(collection, extend(clone(settings), {
+                    file,
+                    meta: originalRef ?
+                        extend(clone(settings.meta || {}), {originalId: originalRef._id}) :
+                        settings.meta
+                })));
+            });
+        },
+        /**
+         * Return an insert function for a CollectionFS collection. When the
+         * originals collection is given, the unwatermarked file is inserted
+         * into it first and its _id is kept in metadata.originalId
+         *
+         * @param {FS.Collection} collection
+         * @param {FS.Collection} originals
+         * @return {Function} - given a File and its metadata, returns a Promise evaluating
+         * to the watermarked FS.File
+         */
+        collectionFS: function (collection, originals) {
+            return (input, metadata) => transform(input).then(({file, original}) => {
+                const stored = original && originals ?
+                    insertCollectionFS(originals, original, metadata) :
+                    Promise.resolve(null);
+
+                return stored.then(originalFile => insertCollectionFS(collection, file,
+                    originalFile ? extend(clone(metadata || {}), {originalId: originalFile._id}) : metadata));
+            });
+        }
+    };
+}
+
+WatermarkConfig.watermark.upload = upload;
@@ -0,0 +1,355 @@
+/**
+ * Reading and writing of JPEG Exif data. Works on anything indexable by
+ * byte, such as a Uint8Array or a Buffer
+ */
+
+const ORIENTATION = 0x0112;
+const EXIF_POINTER = 0x8769;
+const GPS_POINTER = 0x8825;
+const INTEROP_POINTER = 0xA005;
+const MAKER_NOTE = 0x927C;
+
+/**
+ * Size in bytes of a single value of each TIFF field type
+ *
+ * @constant
+ * @type {Object}
+ */
+const typeSizes = {
+    1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8
+};
+
+/**
+ * A single field of an image file directory. The value holds the raw
+ * bytes of the field in the byte order of the Tiff it belongs to
+ *
+ * @typedef {Object} Entry
+ * @property {Number} tag
+ * @property {Number} type
+ * @property {Number} count
+ * @property {Number[]} value
+ */
+
+/**
+ * The fields of an Exif segment. The thumbnail directory is not
+ * kept, as it would show the image without its watermark
+ *
+ * @typedef {Object} Tiff
+ * @property {Boolean} little - true for little endian
+ * @property {Entry[]} ifd0 - fields describing the image
+ * @property {Entry[]} exif - fields describing the camera and exposure
+ * @property {Entry[]} gps - location fields
+ */
+
+/**
+ * Read an unsigned integer
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @param {Number} length - number of bytes, 2 or 4
+ * @param {Boolean} little - true for little endian
+ * @return {Number}
+ */
+function readUint(bytes, offset, length, little) {
+    let value = 0;
+    for (let i = 0; i < length; i++) {
+        const byte = bytes[offset + (little ? length - 1 - i : i)];
+        value = value * 256 + byte;
+    }
+    return value;
+}
+
+/**
+ * Return an unsigned integer as bytes
+ *
+ * @param {Number} value
+ * @param {Number} length - number of bytes, 2 or 4
+ * @param {Boolean} little - true for little endian
+ * @return {Number[]}
+ */
+function writeUint(value, length, little) {
+    const bytes = [];
+    for (let i = length - 1; i >= 0; i--) {
+        bytes.push(Math.floor(value / Math.pow(256, i)) % 256);
+    }
+    return little ? bytes.reverse() : bytes;
+}
+
+/**
+ * Return the JPEG segments up to the start of the image data
+ *
+ * @param {Uint8Array} bytes
+ * @return {Object[]} - marker, start offset and length (including the marker) of every segment
+ */
+function segments(bytes) {
+    const found = [];
+
+    if (bytes[0] !== 0xFF || bytes[1] !== 0xD8) {
+        return found;
+    }
+
+    let offset = 2;
+    while (offset + 4 <= bytes.length && bytes[offset] === 0xFF) {
+        const marker = bytes[offset + 1];
+        if (marker === 0xDA || marker === 0xD9) {
+            break;
+        }
+        const length = readUint(bytes, offset + 2, 2, false) + 2;
+        found.push({marker, start: offset, length});
+        offset += length;
+    }
+
+    return found;
+}
+
+/**
+ * Locate the TIFF header inside the Exif segment
+ *
+ * @param {Uint8Array} bytes
+ * @return {Object|null} - start offset of the header and whether it is little endian
+ */
+function tiff(bytes) {
+    const exif = segments(bytes).filter(segment =>
+        segment.marker === 0xE1 &&
+        String.fromCharCode(bytes[segment.start + 4], bytes[segment.start + 5],
+            bytes[segment.start + 6], bytes[segment.start + 7]) === 'Exif'
+    )[0];
+
+    if (!exif) {
+        return null;
+    }
+
+    const start = exif.start + 10;
+    return {
+        start,
+        little: bytes[start] === 0x49
+    };
+}
+
+/**
+ * Return the Exif orientation of a JPEG, 1 when it has none
+ *
+ * @param {Uint8Array} bytes - at least the head of the file
+ * @return {Number} - between 1 and 8
+ */
+function orientation(bytes) {
+    const header = tiff(bytes);
+
+    if (!header) {
+        return 1;
+    }
+
+    const {start, little} = header;
+    const ifd = start + readUint(bytes, start + 4, 4, little);
+    const count = readUint(bytes, ifd, 2, little);
+
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        if (readUint(bytes, entry, 2, little) === ORIENTATION) {
+            const value = readUint(bytes, entry + 8, 2, little);
+            return value >= 1 && value <= 8 ? value : 1;
+        }
+    }
+
+    return 1;
+}
+
+/**
+ * Read the fields of an image file directory
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} start - offset of the Tiff header
+ * @param {Number} offset - offset of the directory from the Tiff header
+ * @param {Boolean} little - true for little endian
+ * @return {Entry[]}
+ */
+function readIfd(bytes, start, offset, little) {
+    const entries = [];
+    const ifd = start + offset;
+
+    if (!offset || ifd + 2 > bytes.length) {
+        return entries;
+    }
+
+    const count = readUint(bytes, ifd, 2, little);
+    for (let i = 0; i < count; i++) {
+        const entry = ifd + 2 + i * 12;
+        const type = readUint(bytes, entry + 2, 2, little);
+        const length = readUint(bytes, entry + 4, 4, little);
+        const size = (typeSizes[type] || 1) * length;
+        const at = size > 4 ? start + readUint(bytes, entry + 8, 4, little) : entry + 8;
+
+        if (at + size <= bytes.length) {
+            entries.push({
+                tag: readUint(bytes, entry, 2, little),
+                type,
+                count: length,
+                value: Array.prototype.slice.call(bytes, at, at + size)
+            });
+        }
+    }
+
+    return entries;
+}
+
+/**
+ * Return the value of a pointer field, 0 when there is none
+ *
+ * @param {Entry[]} entries
+ * @param {Number} tag
+ * @param {Boolean} little - true for little endian
+ * @return {Number}
+ */
+function pointer(entries, tag, little) {
+    const entry = entries.filter(e => e.tag === tag)[0];
+    return entry ? readUint(entry.value, 0, 4, little) : 0;
+}
+
+/**
+ * Read the Exif segment of a JPEG
+ *
+ * @param {Uint8Array} bytes - at least the head of the file
+ * @return {Tiff|null}
+ */
+function read(bytes) {
+    const header = tiff(bytes);
+
+    if (!header) {
+        return null;
+    }
+
+    const {start, little} = header;
+    const ifd0 = readIfd(bytes, start, readUint(bytes, start + 4, 4, little), little);
+    const exif = readIfd(bytes, start, pointer(ifd0, EXIF_POINTER, little), little);
+    const gps = readIfd(bytes, start, pointer(ifd0, GPS_POINTER, little), little);
+    const pointers = [EXIF_POINTER, GPS_POINTER, INTEROP_POINTER, MAKER_NOTE];
+    const fields = entries => entries.filter(entry => pointers.indexOf(entry.tag) === -1);
+
+    return {
+        little,
+        ifd0: fields(ifd0),
+        exif: fields(exif),
+        gps: fields(gps)
+    };
+}
+
+/**
+ * Return the size in bytes an image file directory takes up
+ *
+ * @param {Entry[]} entries
+ * @return {Number}
+ */
+function ifdSize(entries) {
+    return entries.reduce((size, entry) => {
+        const length = entry.value.length;
+        return size + (length > 4 ? length + (length % 2) : 0);
+    }, 2 + entries.length * 12 + 4);
+}
+
+/**
+ * Write an image file directory
+ *
+ * @param {Entry[]} entries
+ * @param {Number} offset - offset of the directory from the Tiff header
+ * @param {Boolean} little - true for little endian
+ * @return {Number[]}
+ */
+function writeIfd(entries, offset, little) {
+    const sorted = entries.slice().sort((a, b) => a.tag - b.tag);
+    const dataStart = offset + 2 + sorted.length * 12 + 4;
+    let head = writeUint(sorted.length, 2, little);
+    let data = [];
+
+    sorted.forEach(entry => {
+        head = head.concat(writeUint(entry.tag, 2, little), writeUint(entry.type, 2, little),
+            writeUint(entry.count, 4, little));
+
+        if (entry.value.length > 4) {
+            head = head.concat(writeUint(dataStart + data.length, 4, little));
+            data = data.concat(entry.value, entry.value.length % 2 ? [0] : []);
+        } else {
+            head = head.concat(entry.value, [0, 0, 0, 0].slice(entry.value.length));
+        }
+    });
+
+    return head.concat(writeUint(0, 4, little), data);
+}
+
+/**
+ * Write a Tiff as a JPEG APP1 Exif segment
+ *
+ * @param {Tiff} fields
+ * @return {Number[]}
+ */
+function write(fields) {
+    const little = fields.little;
+    const long = (tag, value) => ({tag, type: 4, count: 1, value: writeUint(value, 4, little)});
+    const ifd0 = fields.ifd0.slice();
+    const pointers = (fields.exif.length ? 1 : 0) + (fields.gps.length ? 1 : 0);
+    const exifOffset = 8 + ifdSize(ifd0) + pointers * 12;
+    const gpsOffset = exifOffset + (fields.exif.length ? ifdSize(fields.exif) : 0);
+
+    fields.exif.length && ifd0.push(long(EXIF_POINTER, exifOffset));
+    fields.gps.length && ifd0.push(long(GPS_POINTER, gpsOffset));
+
+    let body = (little ? [0x49, 0x49] : [0x4D, 0x4D]).concat(writeUint(42, 2, little), writeUint(8, 4, little));
+    body = body.concat(writeIfd(ifd0, 8, little));
+    fields.exif.length && (body = body.concat(writeIfd(fields.exif, exifOffset, little)));
+    fields.gps.length && (body = body.concat(writeIfd(fields.gps, gpsOffset, little)));
+
+    const header = [0x45, 0x78, 0x69, 0x66, 0, 0];
+    return [0xFF, 0xE1].concat(writeUint(body.length + header.length + 2, 2, false), header, body);
+}
+
+/**
+ * Return an ASCII field
+ *
+ * @param {Number} tag
+ * @param {String} text
+ * @return {Entry}
+ */
+function ascii(tag, text) {
+    const value = [];
+    for (let i = 0; i < text.length; i++) {
+        value.push(text.charCodeAt(i) & 0xFF);
+    }
+    value.push(0);
+    return {tag, type: 2, count: value.length, value};
+}
+
+/**
+ * Return a SHORT field
+ *
+ * @param {Number} tag
+ * @param {Number} number
+ * @param {Boolean} little - true for little endian
+ * @return {Entry}
+ */
+function short(tag, number, little) {
+    return {tag, type: 3, count: 1, value: writeUint(number, 2, little)};
+}
+
+/**
+ * Return the entries with the given field added, replacing any field
+ * with the same tag
+ *
+ * @param {Entry[]} entries
+ * @param {Entry} entry
+ * @return {Entry[]}
+ */
+function set(entries, entry) {
+    return entries.filter(e => e.tag !== entry.tag).concat([entry]);
+}
+
+Exif = {
+    ORIENTATION,
+    readUint,
+    writeUint,
+    segments,
+    orientation,
+    read,
+    write,
+    ascii,
+    short,
+    set
+};
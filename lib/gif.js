@@ -0,0 +1,450 @@
+/**
+ * Decoding and encoding of animated GIFs. Frames are handled as full
+ * RGBA images, so drawing on one never depends on the frames before it
+ */
+
+/**
+ * An animation of full size frames
+ *
+ * @typedef {Object} Animation
+ * @property {Number} width
+ * @property {Number} height
+ * @property {Number|null} loop - times the animation repeats, 0 for forever and null to play it once
+ * @property {Frame[]} frames
+ */
+
+/**
+ * A single frame of an animation
+ *
+ * @typedef {Object} Frame
+ * @property {Uint8ClampedArray} pixels - RGBA values of every pixel, row by row
+ * @property {Number} delay - ms the frame is shown for
+ */
+
+/**
+ * Read a little endian 16 bit integer
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @return {Number}
+ */
+function readShort(bytes, offset) {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+}
+
+/**
+ * Return a 16 bit integer as little endian bytes
+ *
+ * @param {Number} value
+ * @return {Number[]}
+ */
+function short(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+/**
+ * Return whether the bytes start with a GIF header
+ *
+ * @param {Uint8Array} bytes
+ * @return {Boolean}
+ */
+function isGif(bytes) {
+    return bytes.length > 13 && bytes[0] === 0x47 && bytes[1] === 0x49 && bytes[2] === 0x46 && bytes[3] === 0x38;
+}
+
+/**
+ * Join the data sub-blocks starting at an offset
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} offset
+ * @return {Object} - the data and the offset following the terminating block
+ */
+function subBlocks(bytes, offset) {
+    const data = [];
+    while (offset < bytes.length && bytes[offset] !== 0) {
+        const size = bytes[offset];
+        for (let i = 1; i <= size; i++) {
+            data.push(bytes[offset + i]);
+        }
+        offset += size + 1;
+    }
+    return {data, offset: offset + 1};
+}
+
+/**
+ * Decode LZW compressed color indices
+ *
+ * @param {Number} minSize - the minimum code size
+ * @param {Number[]} data
+ * @param {Number} count - the number of pixels
+ * @return {Uint8Array}
+ */
+function lzwDecode(minSize, data, count) {
+    const clear = 1 << minSize;
+    const end = clear + 1;
+    const prefix = new Int16Array(4096);
+    const suffix = new Uint8Array(4096);
+    const stack = new Uint8Array(4097);
+    const output = new Uint8Array(count);
+    let size = minSize + 1;
+    let next = clear + 2;
+    let old = -1;
+    let first = 0;
+    let datum = 0;
+    let bits = 0;
+    let pos = 0;
+    let out = 0;
+
+    for (let i = 0; i < clear; i++) {
+        suffix[i] = i;
+    }
+
+    while (out < count) {
+        while (bits < size) {
+            if (pos >= data.length) {
+                return output;
+            }
+            datum |= data[pos++] << bits;
+            bits += 8;
+        }
+
+        let code = datum & ((1 << size) - 1);
+        datum >>= size;
+        bits -= size;
+
+        if (code === clear) {
+            size = minSize + 1;
+            next = clear + 2;
+            old = -1;
+            continue;
+        }
+        if (code === end) {
+            break;
+        }
+        if (old === -1) {
+            output[out++] = suffix[code];
+            old = first = code;
+            continue;
+        }
+
+        const current = code;
+        let top = 0;
+        if (code >= next) {
+            stack[top++] = first;
+            code = old;
+        }
+        while (code > end) {
+            stack[top++] = suffix[code];
+            code = prefix[code];
+        }
+        first = suffix[code];
+        stack[top++] = first;
+
+        if (next < 4096) {
+            prefix[next] = old;
+            suffix[next] = first;
+            next++;
+            (next === 1 << size && size < 12) && size++;
+        }
+        old = current;
+
+        while (top > 0 && out < count) {
+            output[out++] = stack[--top];
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Return the row order of an interlaced image
+ *
+ * @param {Number} height
+ * @return {Number[]}
+ */
+function interlacedRows(height) {
+    const rows = [];
+    [[0, 8], [4, 8], [2, 4], [1, 2]].forEach(([start, step]) => {
+        for (let y = start; y < height; y += step) {
+            rows.push(y);
+        }
+    });
+    return rows;
+}
+
+/**
+ * Decode every frame of a GIF
+ *
+ * @param {Uint8Array} bytes
+ * @return {Animation|null} - null if the bytes are not a GIF
+ */
+function decode(bytes) {
+    if (!isGif(bytes)) {
+        return null;
+    }
+
+    const width = readShort(bytes, 6);
+    const height = readShort(bytes, 8);
+    const flags = bytes[10];
+    const globalTable = flags & 0x80 ? bytes.subarray(13, 13 + 3 * (1 << ((flags & 7) + 1))) : null;
+    const canvas = new Uint8ClampedArray(width * height * 4);
+    const frames = [];
+    let offset = 13 + (globalTable ? globalTable.length : 0);
+    let loop = null;
+    let control = {delay: 0, disposal: 0, transparent: -1};
+
+    while (offset < bytes.length && bytes[offset] !== 0x3B) {
+        const block = bytes[offset];
+
+        if (block === 0x21 && bytes[offset + 1] === 0xF9) {
+            const packed = bytes[offset + 3];
+            control = {
+                delay: readShort(bytes, offset + 4) * 10,
+                disposal: (packed >> 2) & 7,
+                transparent: packed & 1 ? bytes[offset + 6] : -1
+            };
+            offset = subBlocks(bytes, offset + 2).offset;
+        } else if (block === 0x21) {
+            const app = String.fromCharCode.apply(null, Array.prototype.slice.call(bytes, offset + 3, offset + 14));
+            const ext = subBlocks(bytes, offset + 2);
+            app === 'NETSCAPE2.0' && ext.data[11] === 1 && (loop = ext.data[12] | (ext.data[13] << 8));
+            offset = ext.offset;
+        } else if (block === 0x2C) {
+            const left = readShort(bytes, offset + 1);
+            const top = readShort(bytes, offset + 3);
+            const w = readShort(bytes, offset + 5);
+            const h = readShort(bytes, offset + 7);
+            const packed = bytes[offset + 9];
+            offset += 10;
+
+            let table = globalTable;
+            if (packed & 0x80) {
+                const length = 3 * (1 << ((packed & 7) + 1));
+                table = bytes.subarray(offset, offset + length);
+                offset += length;
+            }
+
+            const minSize = bytes[offset];
+            const image = subBlocks(bytes, offset + 1);
+            const indices = lzwDecode(minSize, image.data, w * h);
+            const rows = packed & 0x40 ? interlacedRows(h) : null;
+            const previous = control.disposal === 3 ? canvas.slice() : null;
+            offset = image.offset;
+
+            for (let row = 0; row < h; row++) {
+                const y = top + (rows ? rows[row] : row);
+                for (let x = 0; x < w; x++) {
+                    const index = indices[row * w + x];
+                    if (index === control.transparent || !table || y >= height || left + x >= width) {
+                        continue;
+                    }
+                    const at = (y * width + left + x) * 4;
+                    canvas[at] = table[index * 3];
+                    canvas[at + 1] = table[index * 3 + 1];
+                    canvas[at + 2] = table[index * 3 + 2];
+                    canvas[at + 3] = 255;
+                }
+            }
+
+            frames.push({pixels: canvas.slice(), delay: control.delay});
+
+            if (control.disposal === 2) {
+                for (let y = top; y < Math.min(top + h, height); y++) {
+                    canvas.fill(0, (y * width + left) * 4, (y * width + Math.min(left + w, width)) * 4);
+                }
+            } else if (previous) {
+                canvas.set(previous);
+            }
+            control = {delay: 0, disposal: 0, transparent: -1};
+        } else {
+            break;
+        }
+    }
+
+    return {width, height, loop, frames};
+}
+
+/**
+ * Reduce the pixels of a frame to at most 256 colors. Frames with few
+ * colors keep them exactly, others keep their most used colors
+ *
+ * @param {Uint8ClampedArray} pixels
+ * @return {Object} - palette as RGB bytes, the color index of every pixel and the transparent index or -1
+ */
+function quantize(pixels) {
+    const count = pixels.length / 4;
+    const bins = new Map();
+    let transparent = false;
+
+    for (let i = 0; i < count; i++) {
+        if (pixels[i * 4 + 3] < 128) {
+            transparent = true;
+            continue;
+        }
+        const key = ((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3);
+        const bin = bins.get(key) || {count: 0, r: 0, g: 0, b: 0};
+        bin.count++;
+        bin.r += pixels[i * 4];
+        bin.g += pixels[i * 4 + 1];
+        bin.b += pixels[i * 4 + 2];
+        bins.set(key, bin);
+    }
+
+    const limit = transparent ? 255 : 256;
+    const keys = Array.from(bins.keys()).sort((a, b) => bins.get(b).count - bins.get(a).count).slice(0, limit);
+    const palette = [];
+    const lookup = new Map();
+    keys.forEach((key, index) => {
+        const bin = bins.get(key);
+        palette.push(Math.round(bin.r / bin.count), Math.round(bin.g / bin.count), Math.round(bin.b / bin.count));
+        lookup.set(key, index);
+    });
+
+    const nearest = key => {
+        const r = (key >> 10) << 3;
+        const g = ((key >> 5) & 31) << 3;
+        const b = (key & 31) << 3;
+        let best = 0;
+        let distance = Infinity;
+        for (let i = 0; i < palette.length; i += 3) {
+            const d = Math.pow(palette[i] - r, 2) + Math.pow(palette[i + 1] - g, 2) + Math.pow(palette[i + 2] - b, 2);
+            d < distance && (distance = d, best = i / 3);
+        }
+        lookup.set(key, best);
+        return best;
+    };
+
+    const clear = transparent ? palette.length / 3 : -1;
+    transparent && palette.push(0, 0, 0);
+
+    const indices = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        if (pixels[i * 4 + 3] < 128) {
+            indices[i] = clear;
+            continue;
+        }
+        const key = ((pixels[i * 4] >> 3) << 10) | ((pixels[i * 4 + 1] >> 3) << 5) | (pixels[i * 4 + 2] >> 3);
+        const index = lookup.get(key);
+        indices[i] = index === undefined ? nearest(key) : index;
+    }
+
+    return {palette, indices, transparent: clear};
+}
+
+/**
+ * LZW compress color indices into data sub-blocks
+ *
+ * @param {Number} minSize - the minimum code size
+ * @param {Uint8Array} indices
+ * @return {Number[]}
+ */
+function lzwEncode(minSize, indices) {
+    const clear = 1 << minSize;
+    const end = clear + 1;
+    const output = [];
+    let block = [];
+    let size = minSize + 1;
+    let next = end + 1;
+    let table = new Map();
+    let datum = 0;
+    let bits = 0;
+
+    const emit = code => {
+        datum |= code << bits;
+        bits += size;
+        while (bits >= 8) {
+            block.push(datum & 0xFF);
+            datum >>= 8;
+            bits -= 8;
+            if (block.length === 255) {
+                output.push(255);
+                Array.prototype.push.apply(output, block);
+                block = [];
+            }
+        }
+    };
+
+    emit(clear);
+    let current = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (current << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            current = code;
+            continue;
+        }
+
+        emit(current);
+        if (next === 4096) {
+            emit(clear);
+            table = new Map();
+            size = minSize + 1;
+            next = end + 1;
+        } else {
+            next >= 1 << size && size++;
+            table.set(key, next++);
+        }
+        current = indices[i];
+    }
+    emit(current);
+    emit(end);
+
+    bits > 0 && block.push(datum & 0xFF);
+    if (block.length) {
+        output.push(block.length);
+        Array.prototype.push.apply(output, block);
+    }
+    output.push(0);
+    return output;
+}
+
+/**
+ * Encode an animation as a GIF. Every frame gets a palette of its own
+ *
+ * @param {Animation} animation
+ * @return {Uint8Array}
+ */
+function encode(animation) {
+    const {width, height} = animation;
+    const parts = [[0x47, 0x49, 0x46, 0x38, 0x39, 0x61].concat(short(width), short(height), [0, 0, 0])];
+
+    if (animation.loop !== null && animation.loop !== undefined) {
+        const app = 'NETSCAPE2.0'.split('').map(c => c.charCodeAt(0));
+        parts.push([0x21, 0xFF, 0x0B].concat(app, [3, 1], short(animation.loop), [0]));
+    }
+
+    animation.frames.forEach(frame => {
+        const {palette, indices, transparent} = quantize(frame.pixels);
+        let tableBits = 1;
+        while (1 << tableBits < palette.length / 3) {
+            tableBits++;
+        }
+        const table = palette.concat(new Array(3 * (1 << tableBits) - palette.length).fill(0));
+        const minSize = Math.max(2, tableBits);
+
+        parts.push(
+            [0x21, 0xF9, 4, (2 << 2) | (transparent === -1 ? 0 : 1)].concat(
+                short(Math.round(frame.delay / 10)),
+                [transparent === -1 ? 0 : transparent, 0],
+                [0x2C, 0, 0, 0, 0], short(width), short(height), [0x80 | (tableBits - 1)],
+                table,
+                [minSize]
+            ),
+            lzwEncode(minSize, indices)
+        );
+    });
+    parts.push([0x3B]);
+
+    const bytes = new Uint8Array(parts.reduce((length, part) => length + part.length, 0));
+    parts.reduce((offset, part) => {
+        bytes.set(part, offset);
+        return offset + part.length;
+    }, 0);
+    return bytes;
+}
+
+Gif = {
+    isGif,
+    decode,
+    encode
+};
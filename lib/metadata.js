@@ -0,0 +1,248 @@
+/**
+ * Embedding of metadata into encoded JPEG and PNG images
+ */
+
+const DESCRIPTION = 0x010E;
+const ARTIST = 0x013B;
+const COPYRIGHT = 0x8298;
+const XMP = 'http://ns.adobe.com/xap/1.0/';
+
+/**
+ * Metadata written to the output of a watermark
+ *
+ * @typedef {Object} Metadata
+ * @property {Boolean} preserve - copy the Exif and XMP data of the original JPEG into JPEG output
+ * @property {Boolean} stripGps - leave location fields out of the copied data
+ * @property {String} artist
+ * @property {String} copyright
+ * @property {String} description
+ * @property {Object} text - keyword and value pairs written as PNG text chunks
+ */
+
+/**
+ * Return the bytes of a string with one byte per character
+ *
+ * @param {String} str
+ * @return {Number[]}
+ */
+function bytesOf(str) {
+    const bytes = [];
+    for (let i = 0; i < str.length; i++) {
+        bytes.push(str.charCodeAt(i) & 0xFF);
+    }
+    return bytes;
+}
+
+/**
+ * Return a string with one character per byte
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} start
+ * @param {Number} end
+ * @return {String}
+ */
+function stringOf(bytes, start, end) {
+    let str = '';
+    for (let i = start; i < end; i++) {
+        str += String.fromCharCode(bytes[i]);
+    }
+    return str;
+}
+
+/**
+ * Return a range of bytes without copying where possible
+ *
+ * @param {Uint8Array} bytes
+ * @param {Number} start
+ * @param {Number} end
+ * @return {Uint8Array|Number[]}
+ */
+function part(bytes, start, end) {
+    return bytes.subarray ? bytes.subarray(start, end) : Array.prototype.slice.call(bytes, start, end);
+}
+
+/**
+ * Join ranges of bytes into one array
+ *
+ * @param {Array} parts - Uint8Arrays or arrays of numbers
+ * @return {Uint8Array}
+ */
+function join(parts) {
+    const joined = new Uint8Array(parts.reduce((length, bytes) => length + bytes.length, 0));
+    parts.reduce((offset, bytes) => {
+        joined.set(bytes, offset);
+        return offset + bytes.length;
+    }, 0);
+    return joined;
+}
+
+/**
+ * Return the XMP segments of a JPEG. Only the head of the original is read,
+ * so segments running past its end are left out rather than copied cut short
+ *
+ * @param {Uint8Array} bytes
+ * @return {Number[][]}
+ */
+function xmpSegments(bytes) {
+    return Exif.segments(bytes)
+        .filter(segment => segment.marker === 0xE1 && segment.start + segment.length <= bytes.length &&
+            stringOf(bytes, segment.start + 4, segment.start + 4 + XMP.length) === XMP)
+        .map(segment => Array.prototype.slice.call(bytes, segment.start, segment.start + segment.length));
+}
+
+/**
+ * Remove the location properties from an XMP segment
+ *
+ * @param {Number[]} segment
+ * @return {Number[]}
+ */
+function stripXmpGps(segment) {
+    const xml = stringOf(segment, 4, segment.length)
+        .replace(/\s+exif:GPS\w+="[^"]*"/g, '')
+        .replace(/<exif:(GPS\w+)[^>]*>[\s\S]*?<\/exif:\1>/g, '');
+    const length = xml.length + 2;
+    return [0xFF, 0xE1, length >> 8, length & 0xFF].concat(bytesOf(xml));
+}
+
+/**
+ * Add metadata to an encoded JPEG. Any Exif or XMP data the encoder wrote
+ * is replaced
+ *
+ * @param {Uint8Array} bytes
+ * @param {Uint8Array} original - the head of the original JPEG, if there is one
+ * @param {Metadata} metadata
+ * @param {Boolean} upright - true if the image was turned upright by its Exif orientation
+ * @return {Uint8Array}
+ */
+function embedJpeg(bytes, original, metadata, upright) {
+    const segments = Exif.segments(bytes);
+    const app0 = segments.filter(segment => segment.marker === 0xE0)[0];
+    const head = app0 ? app0.start + app0.length : 2;
+    const skip = segments.filter(segment => segment.marker === 0xE1);
+    const copied = metadata.preserve && original;
+    let fields = (copied && Exif.read(original)) || {little: false, ifd0: [], exif: [], gps: []};
+
+    metadata.stripGps && (fields.gps = []);
+
+    const oriented = fields.ifd0.some(entry => entry.tag === Exif.ORIENTATION);
+    upright && oriented && (fields.ifd0 = Exif.set(fields.ifd0, Exif.short(Exif.ORIENTATION, 1, fields.little)));
+    metadata.description && (fields.ifd0 = Exif.set(fields.ifd0, Exif.ascii(DESCRIPTION, metadata.description)));
+    metadata.artist && (fields.ifd0 = Exif.set(fields.ifd0, Exif.ascii(ARTIST, metadata.artist)));
+    metadata.copyright && (fields.ifd0 = Exif.set(fields.ifd0, Exif.ascii(COPYRIGHT, metadata.copyright)));
+
+    const parts = [part(bytes, 0, head)];
+    if (fields.ifd0.length || fields.exif.length || fields.gps.length) {
+        parts.push(Exif.write(fields));
+    }
+    copied && xmpSegments(original).forEach(segment => {
+        parts.push(metadata.stripGps ? stripXmpGps(segment) : segment);
+    });
+
+    let offset = head;
+    skip.filter(segment => segment.start >= head).forEach(segment => {
+        parts.push(part(bytes, offset, segment.start));
+        offset = segment.start + segment.length;
+    });
+    parts.push(part(bytes, offset, bytes.length));
+
+    return join(parts);
+}
+
+/**
+ * The CRC32 table used by PNG chunks
+ *
+ * @constant
+ * @type {Number[]}
+ */
+const crcTable = (() => {
+    const table = [];
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table.push(c >>> 0);
+    }
+    return table;
+})();
+
+/**
+ * Return the CRC32 of the bytes
+ *
+ * @param {Number[]} bytes
+ * @return {Number}
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    bytes.forEach(byte => crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8));
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Return a PNG text chunk. Latin-1 text is written as tEXt, anything
+ * else as UTF-8 in an iTXt chunk
+ *
+ * @param {String} keyword
+ * @param {String} text
+ * @return {Number[]}
+ */
+function textChunk(keyword, text) {
+    const latin = /^[\u0000-\u00FF]*$/.test(text);
+    const type = bytesOf(latin ? 'tEXt' : 'iTXt');
+    const data = latin ?
+        bytesOf(keyword).concat([0], bytesOf(text)) :
+        bytesOf(keyword).concat([0, 0, 0, 0, 0], bytesOf(unescape(encodeURIComponent(text))));
+    const body = type.concat(data);
+
+    return Exif.writeUint(data.length, 4, false).concat(body, Exif.writeUint(crc32(body), 4, false));
+}
+
+/**
+ * Add metadata to an encoded PNG as text chunks following the header
+ *
+ * @param {Uint8Array} bytes
+ * @param {Metadata} metadata
+ * @return {Uint8Array}
+ */
+function embedPng(bytes, metadata) {
+    const text = {
+        Author: metadata.artist,
+        Copyright: metadata.copyright,
+        Description: metadata.description
+    };
+    Object.keys(metadata.text || {}).forEach(key => text[key] = metadata.text[key]);
+
+    const chunks = Object.keys(text)
+        .filter(key => text[key] !== undefined && text[key] !== null)
+        .reduce((all, key) => all.concat(textChunk(key, String(text[key]))), []);
+    const header = 8 + 25;
+
+    return join([part(bytes, 0, header), chunks, part(bytes, header, bytes.length)]);
+}
+
+/**
+ * Add metadata to an encoded image. Types other than JPEG and PNG
+ * are returned unchanged
+ *
+ * @param {Uint8Array} bytes - the encoded image
+ * @param {String} type - the MIME type of the image
+ * @param {Uint8Array} original - the head of the original file, if there is one
+ * @param {Metadata} metadata
+ * @param {Boolean} upright - true if the image was turned upright by its Exif orientation
+ * @return {Uint8Array}
+ */
+function embed(bytes, type, original, metadata, upright) {
+    if (type === 'image/jpeg') {
+        return embedJpeg(bytes, original, metadata, upright);
+    }
+
+    if (type === 'image/png') {
+        return embedPng(bytes, metadata);
+    }
+
+    return bytes;
+}
+
+Metadata = {
+    embed
+};
@@ -0,0 +1,525 @@
+/**
+ * Encoding of QR codes (ISO/IEC 18004) in byte mode, so any text such as
+ * the url of an order can be drawn as a watermark without a network service
+ */
+
+/**
+ * The modules of a QR code
+ *
+ * @typedef {Object} QrCode
+ * @property {Number} version - 1 to 40
+ * @property {Number} size - modules per side, without the quiet zone
+ * @property {Boolean[][]} modules - true for the dark modules, row by row
+ */
+
+/**
+ * Indexes of the error correction levels into the tables below
+ *
+ * @constant
+ * @type {Object}
+ */
+const qrLevels = {L: 0, M: 1, Q: 2, H: 3};
+
+// the format bits of each level, which are not in level order
+const qrLevelBits = [1, 0, 3, 2];
+
+// error correction codewords of every block, by level and version
+const qrEccPerBlock = [
+    [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+        28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30,
+        28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28,
+        30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+// error correction blocks, by level and version
+const qrBlockCounts = [
+    [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+        8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+        23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+        25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+/**
+ * Return the number of modules of a version that carry codewords
+ *
+ * @param {Number} version
+ * @return {Number}
+ */
+function qrRawModules(version) {
+    let modules = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const count = Math.floor(version / 7) + 2;
+        modules -= (25 * count - 10) * count - 55;
+        version >= 7 && (modules -= 36);
+    }
+    return modules;
+}
+
+/**
+ * Return the number of data codewords a version holds at a level
+ *
+ * @param {Number} version
+ * @param {Number} level - an index of qrLevels
+ * @return {Number}
+ */
+function qrDataCodewords(version, level) {
+    return Math.floor(qrRawModules(version) / 8) - qrEccPerBlock[level][version] * qrBlockCounts[level][version];
+}
+
+/**
+ * Return the bit of a value at an index, counted from the least significant
+ *
+ * @param {Number} value
+ * @param {Number} index
+ * @return {Boolean}
+ */
+function qrBit(value, index) {
+    return ((value >>> index) & 1) !== 0;
+}
+
+/**
+ * Multiply two elements of GF(256) modulo the QR polynomial
+ *
+ * @param {Number} x
+ * @param {Number} y
+ * @return {Number}
+ */
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11D);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+/**
+ * Return the Reed-Solomon generator polynomial of a degree, without its
+ * leading term
+ *
+ * @param {Number} degree
+ * @return {Number[]}
+ */
+function rsDivisor(degree) {
+    const divisor = new Array(degree).fill(0);
+    divisor[degree - 1] = 1;
+
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < degree; j++) {
+            divisor[j] = gfMultiply(divisor[j], root);
+            j + 1 < degree && (divisor[j] ^= divisor[j + 1]);
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return divisor;
+}
+
+/**
+ * Return the error correction codewords of a block
+ *
+ * @param {Number[]} data
+ * @param {Number[]} divisor
+ * @return {Number[]}
+ */
+function rsRemainder(data, divisor) {
+    const remainder = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ remainder.shift();
+        remainder.push(0);
+        divisor.forEach((coefficient, i) => remainder[i] ^= gfMultiply(coefficient, factor));
+    });
+    return remainder;
+}
+
+/**
+ * Return the UTF-8 bytes of a string
+ *
+ * @param {String} text
+ * @return {Number[]}
+ */
+function utf8(text) {
+    const bytes = [];
+    for (const char of text) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xC0 | (code >> 6), 0x80 | (code & 0x3F));
+        } else if (code < 0x10000) {
+            bytes.push(0xE0 | (code >> 12), 0x80 | ((code >> 6) & 0x3F), 0x80 | (code & 0x3F));
+        } else {
+            bytes.push(0xF0 | (code >> 18), 0x80 | ((code >> 12) & 0x3F), 0x80 | ((code >> 6) & 0x3F),
+                0x80 | (code & 0x3F));
+        }
+    }
+    return bytes;
+}
+
+/**
+ * Return the data codewords of a byte segment, padded to the capacity of
+ * the version
+ *
+ * @param {Number[]} bytes
+ * @param {Number} version
+ * @param {Number} level
+ * @return {Number[]}
+ */
+function qrData(bytes, version, level) {
+    const capacity = qrDataCodewords(version, level) * 8;
+    const bits = [];
+    const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) {
+            bits.push((value >>> i) & 1);
+        }
+    };
+
+    push(0x4, 4);
+    push(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(byte => push(byte, 8));
+    push(0, Math.min(4, capacity - bits.length));
+    push(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacity; pad ^= 0xEC ^ 0x11) {
+        push(pad, 8);
+    }
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+    }
+    return codewords;
+}
+
+/**
+ * Split the data into blocks, add their error correction and interleave
+ * them in the order the codewords are placed
+ *
+ * @param {Number[]} data
+ * @param {Number} version
+ * @param {Number} level
+ * @return {Number[]}
+ */
+function qrCodewords(data, version, level) {
+    const count = qrBlockCounts[level][version];
+    const eccLength = qrEccPerBlock[level][version];
+    const raw = Math.floor(qrRawModules(version) / 8);
+    const shortBlocks = count - raw % count;
+    const shortLength = Math.floor(raw / count) - eccLength;
+    const divisor = rsDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < count; i++) {
+        const length = shortLength + (i < shortBlocks ? 0 : 1);
+        const block = data.slice(offset, offset + length);
+        offset += length;
+        blocks.push({data: block, ecc: rsRemainder(block, divisor)});
+    }
+
+    const codewords = [];
+    for (let i = 0; i <= shortLength; i++) {
+        blocks.forEach(block => i < block.data.length && codewords.push(block.data[i]));
+    }
+    for (let i = 0; i < eccLength; i++) {
+        blocks.forEach(block => codewords.push(block.ecc[i]));
+    }
+    return codewords;
+}
+
+/**
+ * Return the centers of the alignment patterns along either axis
+ *
+ * @param {Number} version
+ * @return {Number[]}
+ */
+function alignmentPositions(version) {
+    if (version === 1) {
+        return [];
+    }
+
+    const count = Math.floor(version / 7) + 2;
+    const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+    const positions = [6];
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+        positions.splice(1, 0, position);
+    }
+    return positions;
+}
+
+/**
+ * A matrix of modules, remembering which ones belong to the function
+ * patterns and may not carry data
+ *
+ * @param {Number} size
+ * @return {Object}
+ */
+function qrGrid(size) {
+    const rows = () => Array.from({length: size}, () => new Array(size).fill(false));
+    const modules = rows();
+    const reserved = rows();
+    return {
+        size,
+        modules,
+        reserved,
+        set(x, y, dark) {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        }
+    };
+}
+
+/**
+ * Draw the finder, timing and alignment patterns and the version information
+ *
+ * @param {Object} grid
+ * @param {Number} version
+ */
+function drawPatterns(grid, version) {
+    const size = grid.size;
+
+    for (let i = 0; i < size; i++) {
+        grid.set(6, i, i % 2 === 0);
+        grid.set(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const x = cx + dx;
+                const y = cy + dy;
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                x >= 0 && y >= 0 && x < size && y < size && grid.set(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+
+    const positions = alignmentPositions(version);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => positions.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+            return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) {
+                grid.set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+            }
+        }
+    }));
+
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        }
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            grid.set(a, b, qrBit(bits, i));
+            grid.set(b, a, qrBit(bits, i));
+        }
+    }
+}
+
+/**
+ * Draw both copies of the format information and the dark module
+ *
+ * @param {Object} grid
+ * @param {Number} level
+ * @param {Number} mask
+ */
+function drawFormat(grid, level, mask) {
+    const size = grid.size;
+    const data = (qrLevelBits[level] << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+        remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) {
+        grid.set(8, i, qrBit(bits, i));
+    }
+    grid.set(8, 7, qrBit(bits, 6));
+    grid.set(8, 8, qrBit(bits, 7));
+    grid.set(7, 8, qrBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+        grid.set(14 - i, 8, qrBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+        grid.set(size - 1 - i, 8, qrBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+        grid.set(8, size - 15 + i, qrBit(bits, i));
+    }
+    grid.set(8, size - 8, true);
+}
+
+/**
+ * Place the codewords in the zigzag order of the standard, two columns
+ * at a time from the lower right corner
+ *
+ * @param {Object} grid
+ * @param {Number[]} codewords
+ */
+function drawCodewords(grid, codewords) {
+    const size = grid.size;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        right === 6 && (right = 5);
+        const upward = ((right + 1) & 2) === 0;
+        for (let vertical = 0; vertical < size; vertical++) {
+            const y = upward ? size - 1 - vertical : vertical;
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                if (!grid.reserved[y][x] && i < codewords.length * 8) {
+                    grid.modules[y][x] = qrBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+/**
+ * The eight mask patterns, given the column and row of a module
+ *
+ * @constant
+ * @type {Function[]}
+ */
+const qrMasks = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x, y) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => x * y % 2 + x * y % 3 === 0,
+    (x, y) => (x * y % 2 + x * y % 3) % 2 === 0,
+    (x, y) => ((x + y) % 2 + x * y % 3) % 2 === 0
+];
+
+/**
+ * Flip the data modules a mask selects. Applying a mask twice undoes it
+ *
+ * @param {Object} grid
+ * @param {Number} mask
+ */
+function applyMask(grid, mask) {
+    const selected = qrMasks[mask];
+    for (let y = 0; y < grid.size; y++) {
+        for (let x = 0; x < grid.size; x++) {
+            !grid.reserved[y][x] && selected(x, y) && (grid.modules[y][x] = !grid.modules[y][x]);
+        }
+    }
+}
+
+/**
+ * Score the features that make a code hard to read: long runs, blocks of
+ * one color, patterns resembling the finders and an unbalanced share of
+ * dark modules. The mask with the lowest score is used
+ *
+ * @param {Boolean[][]} modules
+ * @return {Number}
+ */
+function penalty(modules) {
+    const size = modules.length;
+    const finderLike = [
+        [true, false, true, true, true, false, true, false, false, false, false],
+        [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+        lines.push(modules[i], modules.map(row => row[i]));
+    }
+
+    let score = 0;
+    lines.forEach(line => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                run >= 5 && (score += run - 2);
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            finderLike.forEach(pattern => pattern.every((dark, j) => line[i + j] === dark) && (score += 40));
+        }
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            modules[y][x] && dark++;
+            if (x + 1 < size && y + 1 < size) {
+                const color = modules[y][x];
+                color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1] &&
+                    (score += 3);
+            }
+        }
+    }
+
+    const total = size * size;
+    return score + (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+}
+
+/**
+ * Encode text as the smallest QR code holding it at the error correction
+ * level, throwing a RangeError when it does not fit a version 40 code
+ *
+ * @param {String} text
+ * @param {String} errorCorrection - 'L', 'M', 'Q' or 'H' (default 'M')
+ * @return {QrCode}
+ */
+function encode(text, errorCorrection) {
+    const level = qrLevels[errorCorrection || 'M'];
+    if (level === undefined) {
+        throw new RangeError(`Unknown error correction level ${errorCorrection}, use L, M, Q or H`);
+    }
+
+    const bytes = utf8(String(text));
+    const fits = version => 4 + (version < 10 ? 8 : 16) + bytes.length * 8 <= qrDataCodewords(version, level) * 8;
+    let version = 1;
+    while (version <= 40 && !fits(version)) {
+        version++;
+    }
+    if (version > 40) {
+        throw new RangeError(`${bytes.length} bytes do not fit a QR code at level ${errorCorrection || 'M'}`);
+    }
+
+    const grid = qrGrid(version * 4 + 17);
+    drawPatterns(grid, version);
+    drawFormat(grid, level, 0);
+    drawCodewords(grid, qrCodewords(qrData(bytes, version, level), version, level));
+
+    let best = 0;
+    let lowest = Infinity;
+    for (let mask = 0; mask < qrMasks.length; mask++) {
+        applyMask(grid, mask);
+        drawFormat(grid, level, mask);
+        const score = penalty(grid.modules);
+        score < lowest && (best = mask, lowest = score);
+        applyMask(grid, mask);
+    }
+    applyMask(grid, best);
+    drawFormat(grid, level, best);
+
+    return {
+        version,
+        size: grid.size,
+        modules: grid.modules
+    };
+}
+
+Qr = {
+    encode
+};
@@ -83,33 +83,148 @@ const mapToBlob = sequence(
  * Get the data url of a canvas
  *
  * @param {HTMLCanvasElement}
+ * @param {String} type - the MIME type of the image
+ * @param {Number} quality - between 0 and 1, for lossy types
  * @return {String}
  */
-function mapToDataUrl(canvas) {
-    return canvas.toDataURL();
+function mapToDataUrl(canvas, type, quality) {
+    return canvas.toDataURL(type, quality);
+}
+
+/**
+ * Get a blob of a canvas, using canvas.toBlob where the browser has it
+ *
+ * @param {HTMLCanvasElement}
+ * @param {String} type - the MIME type of the image
+ * @param {Number} quality - between 0 and 1, for lossy types
+ * @return {Promise}
+ */
+function mapToCanvasBlob(canvas, type, quality) {
+    if (typeof (canvas.toBlob) !== 'function') {
+        return Promise.resolve(mapToBlob(mapToDataUrl(canvas, type, quality)));
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, type, quality));
+}
+
+/**
+ * MIME types of the image formats a canvas can be encoded to
+ *
+ * @constant
+ * @type {Object}
+ */
+const outputTypes = {
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    png: 'image/png',
+    webp: 'image/webp'
+};
+
+/**
+ * Return the MIME type of encoded image bytes by their signature
+ *
+ * @param {Uint8Array|Buffer} bytes
+ * @return {String|undefined}
+ */
+function magicType(bytes) {
+    const tag = offset => String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    if (bytes[0] === 0xFF && bytes[1] === 0xD8) {
+        return 'image/jpeg';
+    }
+    if (tag(0) === '\x89PNG') {
+        return 'image/png';
+    }
+    return bytes.length > 12 && tag(0) === 'RIFF' && tag(8) === 'WEBP' ? 'image/webp' : undefined;
+}
+
+/**
+ * Return the MIME type a watermarked resource should be encoded to, keeping
+ * the type of the resource where a canvas can produce it and falling
+ * back to PNG otherwise. Binary resources are typed by their bytes
+ *
+ * @param {String|File|Image|Buffer|ArrayBuffer|Uint8Array} resource
+ * @return {String}
+ */
+function sourceType(resource) {
+    let type = resource && resource.type;
+
+    if (typeof (resource) === 'string') {
+        const inline = /^data:([^;,]+)/.exec(resource);
+        const extension = /\.(\w+)(?:[?#].*)?$/.exec(resource);
+        type = inline ? inline[1] : extension && outputTypes[extension[1].toLowerCase()];
+    } else if (typeof (ArrayBuffer) !== 'undefined' && resource instanceof ArrayBuffer) {
+        type = magicType(new Uint8Array(resource));
+    } else if (!type && resource && typeof (resource) === 'object' && typeof (resource.length) === 'number') {
+        type = magicType(resource);
+    } else if (!type && resource && resource.src) {
+        return sourceType(resource.src);
+    }
+
+    const known = Object.keys(outputTypes).some(key => outputTypes[key] === type);
+    return known ? type : 'image/png';
 }
 
 /**
  * An immutable canvas pool allowing more efficient use of canvas resources
  *
  * @typedef {Object} CanvasPool
- * @property {Function} pop - return a promise that will evaluate to a canvas
+ * @property {Function} pop - return a canvas
  * @property {Number} length - the number of available canvas elements
  * @property {HTMLCanvasElement[]} elements - the canvas elements used by the pool
  * @property {Function} clear - empty the pool of canvas elements
- * @property {Function} release - free a pool up for release and return the data url
+ * @property {Function} release - return a canvas to the pool
+ * @property {Object} stats - live and idle canvas counts and the total pixels they hold
+ */
+
+/**
+ * A configuration type for canvas pools
+ *
+ * @typedef {Object} PoolOptions
+ * @property {Number} size - the most idle canvases kept for reuse (default 8)
+ * @property {Number} maxPixels - the most pixels idle canvases may hold together. A released
+ * canvas beyond the budget is shrunk before it is kept (default 16 megapixels)
+ */
+
+/**
+ * @constant
+ * @type {PoolOptions}
+ */
+const poolDefaults = {
+    size: 8,
+    maxPixels: 16 * 1024 * 1024
+};
+
+/**
+ * Return the number of pixels held by canvases
+ *
+ * @param {HTMLCanvasElement[]} canvases
+ * @return {Number}
+ */
+function pixels(canvases) {
+    return canvases.reduce((total, canvas) => total + canvas.width * canvas.height, 0);
+}
+
+/**
+ * Drop the pixels of a canvas, freeing its memory
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @return {HTMLCanvasElement}
  */
+function shrink(canvas) {
+    canvas.width = 1;
+    canvas.height = 1;
+    return canvas;
+}
 
 /**
  * Create a CanvasPool with the given size
  *
- * @param {Number} size
- * @param {HTMLCanvasElement[]} elements
- * @param {EventEmitter} eventEmitter
+ * @param {PoolOptions} options
  * @return {CanvasPool}
  */
-function CanvasPool() {
+function CanvasPool(options) {
+    const opts = extend(clone(poolDefaults), options || {});
     const canvases = [];
+    const live = [];
 
     return {
         /**
@@ -119,10 +234,12 @@ function CanvasPool() {
          */
         pop() {
                 if (this.length === 0) {
-                    canvases.push(document.createElement('canvas'));
+                    canvases.push(backend.createCanvas());
                 }
 
-                return canvases.pop();
+                const canvas = canvases.pop();
+                live.push(canvas);
+                return canvas;
             },
 
             /**
@@ -135,14 +252,26 @@ function CanvasPool() {
             },
 
             /**
-             * Return a canvas to the pool. This function will clear the canvas for reuse
+             * Return a canvas to the pool. This function will clear the canvas for reuse,
+             * or drop it when the pool is full
              *
              * @param {HTMLCanvasElement} canvas
-             * @return {String}
              */
             release(canvas) {
-                const context = canvas.getContext('2d');
-                context.clearRect(0, 0, canvas.width, canvas.height);
+                const index = live.indexOf(canvas);
+                index === -1 || live.splice(index, 1);
+
+                if (canvases.length >= opts.size) {
+                    shrink(canvas);
+                    return;
+                }
+
+                if (pixels(canvases) + canvas.width * canvas.height > opts.maxPixels) {
+                    shrink(canvas);
+                } else {
+                    const context = canvas.getContext('2d');
+                    context.clearRect(0, 0, canvas.width, canvas.height);
+                }
                 canvases.push(canvas);
             },
 
@@ -150,7 +279,7 @@ function CanvasPool() {
              * Empty the pool, destroying any references to canvas objects
              */
             clear() {
-                canvases.splice(0, canvases.length);
+                canvases.splice(0, canvases.length).forEach(shrink);
             },
 
             /**
@@ -160,6 +289,20 @@ function CanvasPool() {
              */
             get elements() {
                 return canvases;
+            },
+
+            /**
+             * Return the number of canvases in use and kept for reuse, and
+             * the pixels they hold
+             *
+             * @return {Object}
+             */
+            get stats() {
+                return {
+                    live: live.length,
+                    idle: canvases.length,
+                    pixels: pixels(live) + pixels(canvases)
+                };
             }
     }
 }
@@ -167,457 +310,2837 @@ function CanvasPool() {
 const shared = CanvasPool();
 
 /**
- * Set the src of an image object and call the resolve function
- * once it has loaded
+ * Pools made for Options.poolSize, by size
+ */
+const sized = {};
+
+/**
+ * Return the pool a chain draws with
  *
- * @param {Image} img
- * @param {String} src
- * @param {Function} resolve
+ * @param {Options} opts
+ * @return {CanvasPool}
  */
-function setAndResolve(img, src, resolve) {
-    img.onload = () => resolve(img);
-    img.src = src;
+function poolFor(opts) {
+    if (opts.pool) {
+        return opts.pool;
+    }
+    if (opts.poolSize) {
+        return sized[opts.poolSize] || (sized[opts.poolSize] = CanvasPool({size: opts.poolSize}));
+    }
+    return shared;
 }
 
 /**
- * Given a resource, return an appropriate loading function for it's type
+ * A cache of decoded resources, evicting the least recently used
  *
- * @param {String|File|Image} resource
- * @return {Function}
+ * @typedef {Object} AssetCache
+ * @property {Function} get - return the promise for a decoded resource, or undefined
+ * @property {Function} set - keep the promise for a decoded resource
+ * @property {Function} clear - forget every resource
+ * @property {Object} stats - the number of resources kept and the pixels they hold
  */
-function getLoader(resource) {
-    const type = typeof (resource);
 
-    if (type === 'string') {
-        return loadUrl;
-    }
+/**
+ * A configuration type for asset caches
+ *
+ * @typedef {Object} CacheOptions
+ * @property {Number} size - the most resources kept (default 32)
+ * @property {Number} maxPixels - the most pixels the kept resources may hold together (default 32 megapixels)
+ */
 
-    if (resource instanceof Image) {
-        return identity;
-    }
+/**
+ * @constant
+ * @type {CacheOptions}
+ */
+const cacheDefaults = {
+    size: 32,
+    maxPixels: 32 * 1024 * 1024
+};
+
+/**
+ * Create an AssetCache. Urls are kept by value, Files and other objects
+ * by identity. A resource loaded in different modes, such as upright and
+ * as stored, is kept once for every mode, see cacheMode
+ *
+ * @param {CacheOptions} options
+ * @return {AssetCache}
+ */
+function AssetCache(options) {
+    const opts = extend(clone(cacheDefaults), options || {});
+    const entries = new Map();
+    const entryOf = (resource, mode) => {
+        const byMode = entries.get(resource);
+        return byMode && byMode[mode];
+    };
+    const size = () => Array.from(entries.values())
+        .reduce((total, byMode) => total + Object.keys(byMode).length, 0);
+    const held = () => Array.from(entries.values()).reduce((total, byMode) => total +
+        Object.keys(byMode).reduce((sum, key) => sum + byMode[key].pixels, 0), 0);
 
-    return loadFile;
+    /**
+     * Drop the least recently used resources until the cache is within its limits
+     */
+    const evict = () => {
+        while (entries.size && (size() > opts.size || held() > opts.maxPixels)) {
+            entries.delete(entries.keys().next().value);
+        }
+    };
+
+    return {
+        /**
+         * Return the promise for a decoded resource, marking it as recently used
+         *
+         * @param {Mixed} resource
+         * @param {String} mode - see cacheMode
+         * @return {Promise|undefined}
+         */
+        get(resource, mode) {
+            const entry = entryOf(resource, mode);
+            if (entry) {
+                const byMode = entries.get(resource);
+                entries.delete(resource);
+                entries.set(resource, byMode);
+            }
+            return entry && entry.promise;
+        },
+
+        /**
+         * Keep the promise for a decoded resource. Failed resources are forgotten
+         *
+         * @param {Mixed} resource
+         * @param {String} mode - see cacheMode
+         * @param {Promise} promise
+         * @return {Promise}
+         */
+        set(resource, mode, promise) {
+            const byMode = entries.get(resource) || {};
+            const entry = {promise, pixels: 0};
+            entries.delete(resource);
+            byMode[mode] = entry;
+            entries.set(resource, byMode);
+
+            promise.then(img => {
+                entry.pixels = (img.width || 0) * (img.height || 0);
+                evict();
+            }, () => {
+                byMode[mode] === entry && delete byMode[mode];
+                Object.keys(byMode).length || entries.get(resource) !== byMode || entries.delete(resource);
+            });
+            evict();
+            return promise;
+        },
+
+        /**
+         * Forget every resource
+         */
+        clear() {
+            entries.clear();
+        },
+
+        /**
+         * Return the number of resources kept and the pixels they hold
+         *
+         * @return {Object}
+         */
+        get stats() {
+            return {
+                size: size(),
+                pixels: held()
+            };
+        }
+    };
 }
 
+let assets = AssetCache();
+
 /**
- * Used for loading image resources asynchronously and maintaining
- * the supplied order of arguments
+ * Ids of the init functions resources were loaded with
+ */
+const inits = new WeakMap();
+let initCount = 0;
+
+/**
+ * Return the cache key of how a resource is loaded: its orientation and the
+ * init function given the Image, which may set crossOrigin. An image loaded
+ * without CORS is tainted, so it must not stand in for one loaded with it
  *
- * @param {Array} resources - a mixed array of urls, File objects, or Image objects
- * @param {Function} init - called at the beginning of resource initialization
- * @return {Promise}
+ * @param {Options} opts - uses orientation and init
+ * @return {String}
  */
-function load(resources, init) {
-    let promises = [];
-    for (var i = 0; i < resources.length; i++) {
-        const resource = resources[i];
-        const loader = getLoader(resource);
-        const promise = loader(resource, init);
-        promises.push(promise);
+function cacheMode(opts) {
+    if (typeof (opts.init) !== 'function') {
+        return String(opts.orientation);
     }
-    return Promise.all(promises);
+    inits.has(opts.init) || inits.set(opts.init, ++initCount);
+    return `${opts.orientation} init ${inits.get(opts.init)}`;
 }
 
 /**
- * Load an image by its url
+ * Load a resource through the asset cache. Watermarks are kept once loaded,
+ * targets are only taken from the cache when they are already in it
  *
- * @param {String} url
- * @param {Function} init - an optional image initializer
+ * @param {Mixed} resource
+ * @param {Number} index
+ * @param {Options} opts - uses cache, orientation and init, and everything loadOne uses
  * @return {Promise}
  */
-function loadUrl(url, init) {
-    const img = new Image();
-    (typeof (init) === 'function') && init(img);
-    return new Promise(resolve => {
-        img.onload = () => resolve(img)
-        img.src = url;
-    });
+function loadCached(resource, index, opts) {
+    if (opts.cache === false) {
+        return loadOne(resource, index, opts);
+    }
+
+    const mode = cacheMode(opts);
+    const cached = assets.get(resource, mode);
+    if (cached) {
+        return cached;
+    }
+
+    const promise = loadOne(resource, index, opts);
+    return index > 0 ? assets.set(resource, mode, promise) : promise;
 }
 
 /**
- * Return a collection of images from an
- * array of File objects
+ * Return a copy of a canvas that stays untouched when the canvas goes back
+ * to its pool
  *
- * @param {File} file
- * @return {Promise}
+ * @param {HTMLCanvasElement} canvas
+ * @return {HTMLCanvasElement}
  */
-function loadFile(file) {
-    const reader = new FileReader();
-    return new Promise(resolve => {
-        const img = new Image();
-        reader.onloadend = () => setAndResolve(img, reader.result, resolve);
-        reader.readAsDataURL(file);
-    });
+function copyCanvas(canvas) {
+    const copy = backend.createCanvas();
+    copy.width = canvas.width;
+    copy.height = canvas.height;
+    copy.getContext('2d').drawImage(canvas, 0, 0);
+    return copy;
 }
 
 /**
- * Create a new image, optionally configuring it's onload behavior
+ * An error raised for a resource that could not be turned into a watermarked image
  *
- * @param {String} url
- * @param {Function} onload
- * @return {Image}
+ * @constructor
+ * @param {String} type - one of WatermarkError.LOAD, DECODE, TAINTED, TIMEOUT, ABORT, TEMPLATE or CAPACITY
+ * @param {String} message
+ * @param {String|File|Image} resource - the offending resource, if known
+ * @param {Number} index - the position of the resource, if known
  */
-function createImage(url, onload) {
-    const img = new Image();
-    if (typeof (onload) === 'function') {
-        img.onload = onload;
+function WatermarkError(type, message, resource, index) {
+    this.name = 'WatermarkError';
+    this.type = type;
+    this.message = message;
+    this.resource = resource;
+    this.index = index;
+    this.stack = (new Error(message)).stack;
+}
+
+WatermarkError.prototype = Object.create(Error.prototype);
+WatermarkError.prototype.constructor = WatermarkError;
+
+/**
+ * The resource could not be fetched or read
+ */
+WatermarkError.LOAD = 'load';
+
+/**
+ * The resource was read but is not an image
+ */
+WatermarkError.DECODE = 'decode';
+
+/**
+ * A cross origin resource tainted the canvas so it can not be exported
+ */
+WatermarkError.TAINTED = 'tainted';
+
+/**
+ * The resource did not load within Options.timeout
+ */
+WatermarkError.TIMEOUT = 'timeout';
+
+/**
+ * The work was cancelled before it finished
+ */
+WatermarkError.ABORT = 'abort';
+
+/**
+ * A watermark template is malformed
+ */
+WatermarkError.TEMPLATE = 'template';
+
+/**
+ * The target is too small to hold an invisible payload
+ */
+WatermarkError.CAPACITY = 'capacity';
+
+/**
+ * Fill in the resource and index of an error raised while loading. Errors
+ * that are not a WatermarkError become load errors
+ *
+ * @param {Error} error
+ * @param {String|File|Image} resource
+ * @param {Number} index
+ * @return {WatermarkError}
+ */
+function annotate(error, resource, index) {
+    if (!(error instanceof WatermarkError)) {
+        const message = (error && error.message) || 'Could not load resource';
+        error = new WatermarkError(WatermarkError.LOAD, message, resource, index);
     }
-    img.src = url;
-    return img;
+    error.resource === undefined && (error.resource = resource);
+    error.index === undefined && (error.index = index);
+    return error;
 }
 
 /**
- * Draw an image to a canvas element
+ * Reject with a timeout error if the promise does not settle in time
  *
- * @param {Image} img
- * @param {HTMLCanvasElement} canvas
- * @return {HTMLCanvasElement}
+ * @param {Promise} promise
+ * @param {Number} ms - no timeout when not a positive number
+ * @param {String|File|Image} resource
+ * @param {Number} index
+ * @return {Promise}
  */
-function drawImage(img, canvas) {
-    const ctx = canvas.getContext('2d');
+function timeout(promise, ms, resource, index) {
+    if (!(ms > 0)) {
+        return promise;
+    }
 
-    canvas.width = img.width;
-    canvas.height = img.height;
-    ctx.drawImage(img, 0, 0);
-    return canvas;
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new WatermarkError(
+            WatermarkError.TIMEOUT, `Resource did not load within ${ms}ms`, resource, index
+        )), ms);
+        promise.then(value => {
+            clearTimeout(timer);
+            resolve(value);
+        }, error => {
+            clearTimeout(timer);
+            reject(error);
+        });
+    });
 }
 
 /**
- * Convert an Image object to a canvas
+ * Throw an abort error if the signal of the options has been aborted
  *
- * @param {Image} img
- * @param {CanvasPool} pool
- * @return {HTMLCanvasElement}
+ * @param {Options} opts - uses signal
  */
-function imageToCanvas(img, pool) {
-    const canvas = pool.pop();
-    return drawImage(img, canvas);
+function checkAborted(opts) {
+    if (opts.signal && opts.signal.aborted) {
+        throw new WatermarkError(WatermarkError.ABORT, 'The watermark was aborted');
+    }
 }
 
 /**
- * Convert an array of image objects
- * to canvas elements
+ * Reject with an abort error as soon as the signal is aborted, without
+ * waiting for the promise to settle
  *
- * @param {Array} images
- * @param {CanvasPool} pool
- * @return {HTMLCanvasElement[]}
+ * @param {Promise} promise
+ * @param {AbortSignal} signal
+ * @return {Promise}
  */
-function mapToCanvas(images, pool) {
-    return images.map(img => imageToCanvas(img, pool));
+function abortable(promise, signal) {
+    if (!signal) {
+        return promise;
+    }
+
+    return new Promise((resolve, reject) => {
+        const abort = () => reject(new WatermarkError(WatermarkError.ABORT, 'The watermark was aborted'));
+        const settle = () => signal.removeEventListener('abort', abort);
+        signal.aborted ? abort() : signal.addEventListener('abort', abort, {once: true});
+        promise.then(resolve, reject).then(settle, settle);
+    });
 }
 
 /**
- * Extend one object with the properties of another
+ * Report a stage of the work to Options.onProgress
  *
- * @param {Object} first
- * @param {Object} second
- * @return {Object}
+ * @param {Options} opts - uses onProgress
+ * @param {String} stage - 'loading', 'drawing', 'encoding' or 'done'
+ * @param {Object} details - merged into the event
  */
-function extend(first, second) {
-    const secondKeys = Object.keys(second);
-    secondKeys.forEach(key => first[key] = second[key]);
-    return first;
+function progress(opts, stage, details) {
+    typeof (opts.onProgress) === 'function' && opts.onProgress(extend({stage}, details || {}));
 }
 
 /**
- * Create a shallow copy of the object
+ * Set the src of an image object and call the resolve function
+ * once it has loaded, or the reject function if it is not an image
  *
- * @param {Object} obj
- * @return {Object}
+ * @param {Image} img
+ * @param {String} src
+ * @param {Function} resolve
+ * @param {Function} reject
  */
-function clone(obj) {
-    return extend({}, obj);
+function setAndResolve(img, src, resolve, reject) {
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new WatermarkError(WatermarkError.DECODE, 'Resource is not a valid image'));
+    img.src = src;
 }
 
 /**
- * Return a function for positioning a watermark on a target canvas
+ * Return whether a resource is an instance of a global constructor that
+ * may not exist on every platform
  *
- * @param {Function} xFn - a function to determine an x value
- * @param {Function} yFn - a function to determine a y value
- * @param {Number} alpha
- * @return {Function}
+ * @param {Mixed} resource
+ * @param {String} name - the name of the constructor, such as 'HTMLCanvasElement'
+ * @return {Boolean}
  */
-function atPosImage(xFn, yFn, alpha) {
-    alpha || (alpha = 1.0);
-    return function (target, watermark) {
-        const context = target.getContext('2d');
-        context.save();
+function isA(resource, name) {
+    const root = typeof (window) !== 'undefined' ? window : self;
+    return typeof (root[name]) === 'function' && resource instanceof root[name];
+}
 
-        context.globalAlpha = alpha;
-        context.drawImage(watermark, xFn(target, watermark), yFn(target, watermark));
+/**
+ * Given a resource, return an appropriate loading function for it's type
+ *
+ * @param {String|Blob|Image|HTMLCanvasElement|ImageBitmap|HTMLVideoElement|SVGElement|ArrayBuffer} resource
+ * @return {Function}
+ */
+function getLoader(resource) {
+    const type = typeof (resource);
 
-        context.restore();
-        return target;
+    if (type === 'string') {
+        return loadUrl;
     }
-}
+
+    if (isA(resource, 'HTMLImageElement') || isA(resource, 'HTMLCanvasElement') ||
+        isA(resource, 'ImageBitmap') || isA(resource, 'OffscreenCanvas')) {
+        return identity;
+    }
+
+    if (isA(resource, 'HTMLVideoElement')) {
+        return loadVideoFrame;
+    }
+
+    if (isA(resource, 'SVGSVGElement')) {
+        return loadSvg;
+    }
+
+    if (isA(resource, 'Blob')) {
+        return loadBlob;
+    }
+
+    if (isA(resource, 'ArrayBuffer') || ArrayBuffer.isView(resource)) {
+        return loadBuffer;
+    }
+
+    return unsupported;
+}
+
+/**
+ * Loaders registered for other resource types, most recent first
+ *
+ * @type {Object[]}
+ */
+const loaders = [];
+
+/**
+ * Register a loader for a type of resource. Registered loaders are tried
+ * before the built in ones, the most recently registered first
+ *
+ * @param {Function} test - given a resource, returns true if the loader handles it
+ * @param {Function} loader - given the resource and the init option, returns anything
+ * drawImage accepts, or a promise for it
+ * @return {Function} - removes the loader again
+ */
+function registerLoader(test, loader) {
+    const entry = {test, loader};
+    loaders.unshift(entry);
+    return () => {
+        const index = loaders.indexOf(entry);
+        index !== -1 && loaders.splice(index, 1);
+    };
+}
+
+/**
+ * Return the loading function for a resource, preferring registered loaders
+ *
+ * @param {Mixed} resource
+ * @return {Function}
+ */
+function loaderFor(resource) {
+    const custom = loaders.filter(entry => entry.test(resource))[0];
+    return custom ? custom.loader : backend.getLoader(resource);
+}
+
+/**
+ * Load a single resource, rejecting with a WatermarkError on failure
+ *
+ * @param {String|File|Image} resource
+ * @param {Number} index
+ * @param {Options} opts - uses init and timeout
+ * @return {Promise}
+ */
+function loadOne(resource, index, opts) {
+    let promise;
+    try {
+        const loader = loaderFor(resource);
+        promise = Promise.resolve(loader(resource, opts.init));
+    } catch (error) {
+        promise = Promise.reject(error);
+    }
+    return timeout(promise, opts.timeout, resource, index)
+        .then(img => opts.orientation === 'ignore' ? img : orient(img, resource))
+        .catch(error => Promise.reject(annotate(error, resource, index)));
+}
+
+/**
+ * Read the head of a binary resource, enough to hold its Exif data
+ *
+ * @param {Blob|Buffer|ArrayBuffer|Uint8Array} resource
+ * @return {Promise} - evaluates to the bytes, or null for resources that are not binary
+ */
+function readHead(resource) {
+    if (typeof (Blob) !== 'undefined' && resource instanceof Blob) {
+        return new Promise(resolve => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => resolve(null);
+            reader.readAsArrayBuffer(resource.slice(0, 131072));
+        });
+    }
+
+    if (typeof (ArrayBuffer) !== 'undefined' && resource instanceof ArrayBuffer) {
+        return Promise.resolve(new Uint8Array(resource));
+    }
+
+    const binary = resource && typeof (resource) === 'object' && typeof (resource.length) === 'number';
+    return Promise.resolve(binary ? resource : null);
+}
+
+/**
+ * Read the whole of a url, data url or binary resource
+ *
+ * @param {String|Blob|ArrayBuffer|Uint8Array} resource
+ * @return {Promise} - evaluates to the bytes, or null for resources that are not encoded images
+ */
+function readBytes(resource) {
+    if (typeof (resource) === 'string') {
+        const inline = url.exec(resource);
+        if (inline) {
+            return Promise.resolve(uint8(backend.atob(inline[2])));
+        }
+        return fetch(resource)
+            .then(res => res.ok ? res.arrayBuffer() : Promise.reject(
+                new WatermarkError(WatermarkError.LOAD, `Could not load ${resource}: ${res.status}`)
+            ))
+            .then(buffer => new Uint8Array(buffer));
+    }
+
+    if (isA(resource, 'Blob')) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(new Uint8Array(reader.result));
+            reader.onerror = () => reject(new WatermarkError(WatermarkError.LOAD, 'Could not read file'));
+            reader.readAsArrayBuffer(resource);
+        });
+    }
+
+    return readHead(resource);
+}
+
+/**
+ * Record the Exif orientation of a binary resource on its loaded image so
+ * drawImage can turn it upright. Nothing is recorded when the backend
+ * already applies the orientation while decoding
+ *
+ * @param {Image} img
+ * @param {String|File|Image} resource
+ * @return {Promise}
+ */
+function orient(img, resource) {
+    if (backend.appliesOrientation()) {
+        return Promise.resolve(img);
+    }
+
+    return readHead(resource).then(bytes => {
+        bytes && (img.exifOrientation = Exif.orientation(bytes));
+        return img;
+    });
+}
+
+/**
+ * Used for loading image resources asynchronously and maintaining
+ * the supplied order of arguments. A watermark that fails to load is
+ * replaced by the fallback, if one is given
+ *
+ * @param {Array} resources - a mixed array of urls, File objects, or Image objects
+ * @param {Options} opts - uses init, timeout and fallback
+ * @param {Number} first - the index of the first resource, 1 when the target is loaded apart (default 0)
+ * @return {Promise}
+ */
+function load(resources, opts, first = 0) {
+    let promises = [];
+    let loaded = 0;
+    const total = resources.length;
+    const counted = img => {
+        progress(opts, 'loading', {loaded: ++loaded, total});
+        return img;
+    };
+
+    progress(opts, 'loading', {loaded, total});
+    for (var i = 0; i < resources.length; i++) {
+        const index = first + i;
+        let promise = loadCached(resources[i], index, opts);
+        if (index > 0 && opts.fallback) {
+            promise = promise.catch(error => {
+                const fallback = typeof (opts.fallback) === 'function' ? opts.fallback(error) : opts.fallback;
+                return loadCached(fallback, index, opts);
+            });
+        }
+        promises.push(promise.then(counted));
+    }
+    return Promise.all(promises);
+}
+
+/**
+ * Load an image by its url. Data urls are checked to hold an image
+ * before they are decoded
+ *
+ * @param {String} url
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadUrl(url, init) {
+    const inline = /^data:([^;,]*)/.exec(url);
+    if (inline && !/^image\//.test(inline[1])) {
+        return Promise.reject(new WatermarkError(WatermarkError.DECODE,
+            `Data url holds ${inline[1] || 'text/plain'}, not an image`));
+    }
+
+    const img = new Image();
+    (typeof (init) === 'function') && init(img);
+    return new Promise((resolve, reject) => {
+        if (inline) {
+            return setAndResolve(img, url, resolve, reject);
+        }
+        img.onload = () => resolve(img)
+        img.onerror = () => reject(new WatermarkError(
+            WatermarkError.LOAD, `Could not load ${url}, it may not exist or not allow cross origin access`
+        ));
+        img.src = url;
+    });
+}
+
+/**
+ * Load a File or Blob through an object url, revoked once the image
+ * has decoded
+ *
+ * @param {Blob} blob
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadBlob(blob, init) {
+    const src = URL.createObjectURL(blob);
+    const img = new Image();
+    (typeof (init) === 'function') && init(img);
+    return new Promise((resolve, reject) => setAndResolve(img, src, resolve, reject))
+        .then(img => {
+            URL.revokeObjectURL(src);
+            return img;
+        }, error => {
+            URL.revokeObjectURL(src);
+            throw error;
+        });
+}
+
+/**
+ * Load an encoded image held in an ArrayBuffer or a typed array
+ *
+ * @param {ArrayBuffer|Uint8Array} buffer
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadBuffer(buffer, init) {
+    return loadBlob(new Blob([buffer]), init);
+}
+
+/**
+ * Copy the current frame of a video, which must have data for it
+ *
+ * @param {HTMLVideoElement} video
+ * @return {HTMLCanvasElement}
+ */
+function loadVideoFrame(video) {
+    if (video.readyState < 2) {
+        throw new WatermarkError(WatermarkError.LOAD, 'The video has no frame loaded yet');
+    }
+
+    const canvas = backend.createCanvas();
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Load an inline SVG element at its rendered size
+ *
+ * @param {SVGSVGElement} svg
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadSvg(svg, init) {
+    const copy = svg.cloneNode(true);
+    const box = svg.getBoundingClientRect();
+    copy.getAttribute('xmlns') || copy.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+    copy.getAttribute('width') || copy.setAttribute('width', box.width);
+    copy.getAttribute('height') || copy.setAttribute('height', box.height);
+
+    const markup = new XMLSerializer().serializeToString(copy);
+    return loadBlob(new Blob([markup], {type: 'image/svg+xml'}), init);
+}
+
+/**
+ * Reject a resource of a type there is no loader for
+ *
+ * @param {Mixed} resource
+ * @return {Promise}
+ */
+function unsupported(resource) {
+    const kind = resource && resource.constructor ? resource.constructor.name : typeof (resource);
+    return Promise.reject(new WatermarkError(WatermarkError.LOAD,
+        `Can not load a resource of type ${kind}, register a loader for it`));
+}
+
+/**
+ * Create a new image, optionally configuring it's onload behavior
+ *
+ * @param {String} url
+ * @param {Function} onload
+ * @return {Image}
+ */
+function createImage(url, onload) {
+    const img = new Image();
+    if (typeof (onload) === 'function') {
+        img.onload = onload;
+    }
+    img.src = url;
+    return img;
+}
+
+/**
+ * The platform specific pieces used to load, draw and encode images
+ *
+ * @typedef {Object} Backend
+ * @property {Function} createCanvas - return a new canvas element
+ * @property {Function} createImage - create an image from a data url, see createImage
+ * @property {Function} getLoader - return a loading function for a resource, see getLoader
+ * @property {Function} toBlob - convert a data url into the platform's binary type
+ * @property {Function} toDataUrl - encode a canvas to a data url given a type and quality, or a promise for one
+ * @property {Function} canvasToBlob - optionally, encode a canvas straight to the platform's binary type
+ * @property {Function} appliesOrientation - return whether decoded images are already upright by their Exif orientation
+ * @property {Function} atob - decode base64 to a binary string
+ * @property {Function} btoa - encode a binary string as base64
+ * @property {Function} readBytes - read the whole of a resource, see readBytes
+ */
+
+/**
+ * The default backend, drawing with the DOM canvas of the browser
+ *
+ * @constant
+ * @type {Backend}
+ */
+const browser = {
+    createCanvas: () => document.createElement('canvas'),
+    createImage,
+    getLoader,
+    toBlob: mapToBlob,
+    toDataUrl: mapToDataUrl,
+    canvasToBlob: mapToCanvasBlob,
+    appliesOrientation,
+    atob: decode,
+    btoa: data => window.btoa(data),
+    readBytes
+};
+
+let backend = browser;
+
+/**
+ * Return whether the browser turns images upright by their Exif orientation
+ * when decoding them, which is the case where image-orientation defaults to from-image
+ *
+ * @return {Boolean}
+ */
+function appliesOrientation() {
+    const style = window.getComputedStyle && window.getComputedStyle(document.documentElement);
+    return !!style && style.imageOrientation === 'from-image';
+}
+
+/**
+ * Return the canvas transform turning an image with the given Exif
+ * orientation upright
+ *
+ * @param {Number} orientation
+ * @param {Number} width - the width of the image as stored
+ * @param {Number} height - the height of the image as stored
+ * @return {Number[]}
+ */
+function orientationTransform(orientation, width, height) {
+    return {
+        2: [-1, 0, 0, 1, width, 0],
+        3: [-1, 0, 0, -1, width, height],
+        4: [1, 0, 0, -1, 0, height],
+        5: [0, 1, 1, 0, 0, 0],
+        6: [0, 1, -1, 0, height, 0],
+        7: [0, -1, -1, 0, height, width],
+        8: [0, -1, 1, 0, 0, width]
+    }[orientation] || [1, 0, 0, 1, 0, 0];
+}
+
+/**
+ * Draw an image to a canvas element, turning it upright if it has
+ * an Exif orientation
+ *
+ * @param {Image} img
+ * @param {HTMLCanvasElement} canvas
+ * @return {HTMLCanvasElement}
+ */
+function drawImage(img, canvas) {
+    const ctx = canvas.getContext('2d');
+    const orientation = img.exifOrientation || 1;
+    const swap = orientation > 4;
+
+    canvas.width = swap ? img.height : img.width;
+    canvas.height = swap ? img.width : img.height;
+    ctx.setTransform.apply(ctx, orientationTransform(orientation, img.width, img.height));
+    ctx.drawImage(img, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return canvas;
+}
+
+/**
+ * A configuration type for resizing
+ *
+ * @typedef {Object} ResizeOptions
+ * @property {Number} width - exact width, used with fit
+ * @property {Number} height - exact height, used with fit
+ * @property {Number} maxWidth - the image is scaled down to fit, never up
+ * @property {Number} maxHeight
+ * @property {String} fit - 'contain' to keep the whole image, 'cover' to fill width and height
+ * cropping the overflow, or 'fill' to stretch (default 'contain')
+ */
+
+/**
+ * Return a new canvas of the given size
+ *
+ * @param {Number} width
+ * @param {Number} height
+ * @return {HTMLCanvasElement}
+ */
+function sizedCanvas(width, height) {
+    const canvas = backend.createCanvas();
+    canvas.width = Math.max(1, Math.round(width));
+    canvas.height = Math.max(1, Math.round(height));
+    return canvas;
+}
+
+/**
+ * Return a resized copy of a canvas
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {ResizeOptions} options
+ * @return {HTMLCanvasElement}
+ */
+function resizeCanvas(source, options) {
+    const {width, height, maxWidth, maxHeight} = options;
+    const fit = options.fit || 'contain';
+    const boxWidth = width || maxWidth;
+    const boxHeight = height || maxHeight;
+    const scales = [boxWidth && boxWidth / source.width, boxHeight && boxHeight / source.height].filter(Boolean);
+
+    if (!scales.length) {
+        return source;
+    }
+
+    if (fit === 'fill') {
+        const canvas = sizedCanvas(boxWidth || source.width, boxHeight || source.height);
+        canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+        return canvas;
+    }
+
+    if (fit === 'cover' && scales.length === 2) {
+        const scale = Math.max(scales[0], scales[1]);
+        const canvas = sizedCanvas(boxWidth, boxHeight);
+        canvas.getContext('2d').drawImage(source,
+            (canvas.width - source.width * scale) / 2, (canvas.height - source.height * scale) / 2,
+            source.width * scale, source.height * scale);
+        return canvas;
+    }
+
+    let scale = Math.min.apply(null, scales);
+    !width && !height && (scale = Math.min(1, scale));
+    const canvas = sizedCanvas(source.width * scale, source.height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Return a cropped copy of a canvas
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {Object} rect - x, y, width and height in px or percentages of the source
+ * @return {HTMLCanvasElement}
+ */
+function cropCanvas(source, rect) {
+    const x = Math.max(0, toPixels(rect.x || 0, source.width));
+    const y = Math.max(0, toPixels(rect.y || 0, source.height));
+    const width = Math.min(source.width - x, rect.width === undefined ? source.width : toPixels(rect.width, source.width));
+    const height = Math.min(source.height - y, rect.height === undefined ? source.height : toPixels(rect.height, source.height));
+    const canvas = sizedCanvas(width, height);
+    canvas.getContext('2d').drawImage(source, x, y, canvas.width, canvas.height, 0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * Return a copy of a canvas with space added around it
+ *
+ * @param {HTMLCanvasElement} source
+ * @param {Number|Object} padding - px on every side, or top, right, bottom and left
+ * @param {String} color - fill style of the added space, transparent when not given
+ * @return {HTMLCanvasElement}
+ */
+function padCanvas(source, padding, color) {
+    const sides = typeof (padding) === 'number' ?
+        {top: padding, right: padding, bottom: padding, left: padding} : padding || {};
+    const [top, right, bottom, left] = [sides.top, sides.right, sides.bottom, sides.left].map(side => side || 0);
+    const canvas = sizedCanvas(source.width + left + right, source.height + top + bottom);
+    const context = canvas.getContext('2d');
+
+    if (color) {
+        context.fillStyle = color;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    context.drawImage(source, left, top);
+    return canvas;
+}
+
+/**
+ * Return a function replacing the first image, the target, with the
+ * result of a canvas transformation. The image is turned upright first
+ *
+ * @param {Function} transform - given the target as a canvas, returns a new canvas
+ * @return {Function}
+ */
+function transformTarget(transform) {
+    return function (images) {
+        const all = Array.isArray(images) ? images : [images];
+        const target = transform(drawImage(all[0], backend.createCanvas()));
+        return [target].concat(all.slice(1));
+    }
+}
+
+/**
+ * Convert an Image object to a canvas
+ *
+ * @param {Image} img
+ * @param {CanvasPool} pool
+ * @return {HTMLCanvasElement}
+ */
+function imageToCanvas(img, pool) {
+    const canvas = pool.pop();
+    return drawImage(img, canvas);
+}
+
+/**
+ * Convert an array of image objects
+ * to canvas elements
+ *
+ * @param {Array} images
+ * @param {CanvasPool} pool
+ * @return {HTMLCanvasElement[]}
+ */
+function mapToCanvas(images, pool) {
+    return images.map(img => imageToCanvas(img, pool));
+}
+
+/**
+ * Extend one object with the properties of another
+ *
+ * @param {Object} first
+ * @param {Object} second
+ * @return {Object}
+ */
+function extend(first, second) {
+    const secondKeys = Object.keys(second);
+    secondKeys.forEach(key => first[key] = second[key]);
+    return first;
+}
+
+/**
+ * Create a shallow copy of the object
+ *
+ * @param {Object} obj
+ * @return {Object}
+ */
+function clone(obj) {
+    return extend({}, obj);
+}
+
+/**
+ * A configuration type for tiled watermarks
+ *
+ * @typedef {Object} TileOptions
+ * @property {Number} spacing - gap in px between copies of the mark (default 50)
+ * @property {Number} offset - fraction of a step every other row is shifted by (default 0.5)
+ * @property {Number} angle - rotation of the whole pattern in degrees (default 0)
+ * @property {Number} alpha
+ * @property {String} blend - a globalCompositeOperation such as 'multiply', 'screen', 'overlay' or 'difference'
+ */
+
+/**
+ * @constant
+ * @type {TileOptions}
+ */
+const tileDefaults = {
+    spacing: 50,
+    offset: 0.5,
+    angle: 0,
+    alpha: 1.0
+};
+
+/**
+ * Repeat a mark of the given size across the whole target. The pattern is
+ * rotated about the center of the target, so the grid covers the target's
+ * diagonal to leave no gaps at the corners. A spacing leaving no step
+ * between copies is a RangeError, as the copies would never move on
+ *
+ * @param {HTMLCanvasElement} target
+ * @param {Number} width - the width of a single mark
+ * @param {Number} height - the height of a single mark
+ * @param {TileOptions} options
+ * @param {Function} drawOne - called with the context, x and y of every copy
+ * @return {HTMLCanvasElement}
+ */
+function tile(target, width, height, options, drawOne) {
+    const opts = extend(clone(tileDefaults), options || {});
+    const context = target.getContext('2d');
+    const stepX = width + opts.spacing;
+    const stepY = height + opts.spacing;
+    const half = Math.sqrt(target.width * target.width + target.height * target.height) / 2;
+
+    if (!(stepX > 0 && stepY > 0)) {
+        throw new RangeError(`A spacing of ${opts.spacing} leaves no step between copies of the mark`);
+    }
+
+    context.save();
+    context.globalAlpha = opts.alpha;
+    opts.blend && (context.globalCompositeOperation = opts.blend);
+    context.translate(target.width / 2, target.height / 2);
+    context.rotate(opts.angle * Math.PI / 180);
+
+    for (let row = 0, y = -half - stepY; y < half; row++, y += stepY) {
+        const shift = (row % 2) * opts.offset * stepX;
+        for (let x = -half - stepX + shift; x < half; x += stepX) {
+            drawOne(context, x, y);
+        }
+    }
+
+    context.restore();
+    return target;
+}
+
+/**
+ * Colors chosen between by adaptive watermarks
+ *
+ * @typedef {Object} AdaptiveOptions
+ * @property {String} light - used on dark areas (default '#fff')
+ * @property {String} dark - used on light areas (default '#000')
+ * @property {Number} threshold - luminance between 0 and 1 above which an area counts as light (default 0.5)
+ */
+
+/**
+ * @constant
+ * @type {AdaptiveOptions}
+ */
+const adaptiveDefaults = {
+    light: '#fff',
+    dark: '#000',
+    threshold: 0.5
+};
+
+/**
+ * Return the average relative luminance of an area of the target, between 0 and 1
+ *
+ * @param {HTMLCanvasElement} target
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object} box - width and height of the area
+ * @return {Number|null} - null when the target can not be read
+ */
+function luminance(target, x, y, box) {
+    const left = Math.max(0, Math.floor(x));
+    const top = Math.max(0, Math.floor(y));
+    const width = Math.min(target.width - left, Math.ceil(box.width));
+    const height = Math.min(target.height - top, Math.ceil(box.height));
+
+    if (width <= 0 || height <= 0) {
+        return null;
+    }
+
+    try {
+        const data = target.getContext('2d').getImageData(left, top, width, height).data;
+        let total = 0;
+        for (let i = 0; i < data.length; i += 4) {
+            total += 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+        }
+        return total / (data.length / 4) / 255;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Pick the light or dark color for the area of the target under a mark
+ *
+ * @param {HTMLCanvasElement} target
+ * @param {Number} x
+ * @param {Number} y
+ * @param {Object} box - width and height of the mark
+ * @param {Boolean|AdaptiveOptions} adaptive
+ * @return {String|null} - null when the area can not be sampled
+ */
+function adaptiveColor(target, x, y, box, adaptive) {
+    const opts = extend(clone(adaptiveDefaults), typeof (adaptive) === 'object' ? adaptive : {});
+    const light = luminance(target, x, y, box);
+    if (light === null) {
+        return null;
+    }
+    return light > opts.threshold ? opts.dark : opts.light;
+}
+
+/**
+ * Return a copy of a mark with every visible pixel set to the color,
+ * keeping its transparency
+ *
+ * @param {HTMLCanvasElement} mark
+ * @param {String} color
+ * @return {HTMLCanvasElement}
+ */
+function tint(mark, color) {
+    const canvas = backend.createCanvas();
+    canvas.width = mark.width;
+    canvas.height = mark.height;
+
+    const context = canvas.getContext('2d');
+    context.drawImage(mark, 0, 0);
+    context.globalCompositeOperation = 'source-in';
+    context.fillStyle = color;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+    return canvas;
+}
+
+/**
+ * A configuration type for image watermarks
+ *
+ * @typedef {Object} ImageOptions
+ * @property {Number} alpha
+ * @property {Number} scale - size of the watermark as a fraction of the target, see relativeTo
+ * @property {String} relativeTo - 'width' or 'height' of the target the scale applies to (default 'width')
+ * @property {Number} minSize - smallest size in px of the scaled dimension
+ * @property {Number} maxSize - largest size in px of the scaled dimension
+ * @property {Number} rotation - rotation of the watermark in degrees
+ * @property {String} blend - a globalCompositeOperation such as 'multiply', 'screen', 'overlay' or 'difference'
+ * @property {String} tint - color every visible pixel of the watermark is set to, for monochrome logos
+ * @property {Boolean|AdaptiveOptions} adaptive - tint the watermark light or dark depending on the area under it
+ * @property {Number|String} margin - distance from the edges in px, or a percentage such as '5%', used
+ * by the named positioners (default 10)
+ * @property {Number|String} x - see Position, used by at
+ * @property {Number|String} y
+ * @property {String} anchor
+ * @property {Number|String} offsetX
+ * @property {Number|String} offsetY
+ */
+
+/**
+ * @constant
+ * @type {ImageOptions}
+ */
+const imageDefaults = {
+    alpha: 1.0,
+    relativeTo: 'width',
+    rotation: 0,
+    margin: 10
+};
+
+/**
+ * Normalize image options, accepting a bare alpha value as well
+ * as an options object
+ *
+ * @param {Number|ImageOptions} options
+ * @return {ImageOptions}
+ */
+function imageOptions(options) {
+    if (typeof (options) === 'number') {
+        options = {alpha: options};
+    }
+    return extend(clone(imageDefaults), options || {});
+}
+
+/**
+ * Convert a px number or a percentage string into pixels
+ *
+ * @param {Number|String} value
+ * @param {Number} total - the length a percentage is relative to
+ * @return {Number}
+ */
+function toPixels(value, total) {
+    if (typeof (value) === 'string' && value.charAt(value.length - 1) === '%') {
+        return parseFloat(value) / 100 * total;
+    }
+    return parseFloat(value) || 0;
+}
+
+/**
+ * Placement of a watermark shared by the image and text options
+ *
+ * @typedef {Object} Position
+ * @property {Number|String} x - px, or a percentage of the target width such as '80%'
+ * @property {Number|String} y - px, or a percentage of the target height
+ * @property {String} anchor - the point of the watermark placed at x, y. One of 'top-left', 'top',
+ * 'top-right', 'left', 'center', 'right', 'bottom-left', 'bottom' or 'bottom-right' (default 'top-left')
+ * @property {Number|String} offsetX - px or percentage added to x
+ * @property {Number|String} offsetY - px or percentage added to y
+ */
+
+/**
+ * Return the fractions of a box's width and height that an anchor
+ * name refers to
+ *
+ * @param {String} anchor
+ * @return {Object} - x and y between 0 and 1
+ */
+function anchorPoint(anchor) {
+    const point = {x: 0.5, y: 0.5};
+    const words = (anchor || 'top-left').split('-');
+    words.forEach(word => {
+        word === 'left' && (point.x = 0);
+        word === 'right' && (point.x = 1);
+        word === 'top' && (point.y = 0);
+        word === 'bottom' && (point.y = 1);
+    });
+    return point;
+}
+
+/**
+ * Return the x and y position functions placing the anchor point of
+ * a watermark at the given position
+ *
+ * @param {Position} position
+ * @return {Object} - x and y functions given the target and the box of the watermark
+ */
+function anchored(position) {
+    const point = anchorPoint(position.anchor);
+    return {
+        x: (target, box) => toPixels(position.x, target.width) - box.width * point.x +
+            toPixels(position.offsetX, target.width),
+        y: (target, box) => toPixels(position.y, target.height) - box.height * point.y +
+            toPixels(position.offsetY, target.height)
+    };
+}
+
+/**
+ * Return the options positioned at one of the nine anchor points of the
+ * target, inset from the edges it touches by the margin
+ *
+ * @param {ImageOptions|TextOptions} opts
+ * @param {String} anchor
+ * @return {ImageOptions|TextOptions}
+ */
+function placement(opts, anchor) {
+    const point = anchorPoint(anchor);
+    const negate = value => typeof (value) === 'string' ? `-${value}` : -value;
+    const inset = side => side === 0 ? opts.margin : side === 1 ? negate(opts.margin) : 0;
+
+    return extend(clone(opts), {
+        x: `${point.x * 100}%`,
+        y: `${point.y * 100}%`,
+        anchor,
+        offsetX: inset(point.x),
+        offsetY: inset(point.y)
+    });
+}
+
+/**
+ * Return the size the watermark is drawn at on the target
+ *
+ * @param {HTMLCanvasElement} target
+ * @param {HTMLCanvasElement} mark
+ * @param {ImageOptions} opts
+ * @return {Object} - width and height
+ */
+function markSize(target, mark, opts) {
+    const side = opts.relativeTo === 'height' ? 'height' : 'width';
+    let size = opts.scale ? target[side] * opts.scale : mark[side];
+
+    opts.minSize && (size = Math.max(size, opts.minSize));
+    opts.maxSize && (size = Math.min(size, opts.maxSize));
+
+    const ratio = size / mark[side];
+    return {
+        width: mark.width * ratio,
+        height: mark.height * ratio
+    };
+}
+
+/**
+ * Return the bounding box of a size rotated by the given degrees
+ *
+ * @param {Object} size - width and height
+ * @param {Number} degrees
+ * @return {Object} - width and height
+ */
+function rotatedBounds(size, degrees) {
+    const radians = degrees * Math.PI / 180;
+    const cos = Math.abs(Math.cos(radians));
+    const sin = Math.abs(Math.sin(radians));
+    return {
+        width: size.width * cos + size.height * sin,
+        height: size.width * sin + size.height * cos
+    };
+}
+
+/**
+ * Return a function for positioning a watermark on a target canvas. The
+ * position functions are given the target and the box taken up by the
+ * watermark
+ *
+ * @param {Function} xFn - a function to determine an x value
+ * @param {Function} yFn - a function to determine a y value
+ * @param {Number|ImageOptions} options - an alpha value or an options object
+ * @return {Function}
+ */
+function atPosImage(xFn, yFn, options) {
+    const opts = imageOptions(options);
+    return function (target, watermark) {
+        const context = target.getContext('2d');
+        const size = markSize(target, watermark, opts);
+        const box = rotatedBounds(size, opts.rotation);
+        const x = xFn(target, box);
+        const y = yFn(target, box);
+        const color = (opts.adaptive && adaptiveColor(target, x, y, box, opts.adaptive)) || opts.tint;
+        const mark = color ? tint(watermark, color) : watermark;
+
+        context.save();
+
+        context.globalAlpha = opts.alpha;
+        opts.blend && (context.globalCompositeOperation = opts.blend);
+        context.translate(x + box.width / 2, y + box.height / 2);
+        context.rotate(opts.rotation * Math.PI / 180);
+        context.drawImage(mark, -size.width / 2, -size.height / 2, size.width, size.height);
+
+        context.restore();
+        return target;
+    }
+}
+
+/**
+ * Return a function placing a watermark image at the position
+ * given in the options
+ *
+ * @param {ImageOptions} options
+ * @return {Function}
+ */
+function imageAt(options) {
+    const opts = imageOptions(options);
+    const position = anchored(opts);
+    return atPosImage(position.x, position.y, opts);
+}
 
 var image = {
+    /**
+     * Place the watermark at any position of the target image
+     *
+     * @param {ImageOptions} options
+     * @return {Function}
+     */
+    at: imageAt,
+    /**
+     * Place the watermark in the lower right corner of the target
+     * image
+     *
+     * @param {Number|ImageOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    lowerRight: function (options) {
+        return imageAt(placement(imageOptions(options), 'bottom-right'));
+    },
+    /**
+     * Place the watermark in the upper right corner of the target
+     * image
+     *
+     * @param {Number|ImageOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    upperRight: function (options) {
+        return imageAt(placement(imageOptions(options), 'top-right'));
+    },
+    /**
+     * Place the watermark in the lower left corner of the target
+     * image
+     *
+     * @param {Number|ImageOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    lowerLeft: function (options) {
+        return imageAt(placement(imageOptions(options), 'bottom-left'));
+    },
+    /**
+     * Place the watermark in the upper left corner of the target
+     * image
+     *
+     * @param {Number|ImageOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    upperLeft: function (options) {
+        return imageAt(placement(imageOptions(options), 'top-left'));
+    },
+    /**
+     * Place the watermark in the center of the target
+     * image
+     *
+     * @param {Number|ImageOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    center: function (options) {
+        return imageAt(placement(imageOptions(options), 'center'));
+    },
+    /**
+     * Repeat the watermark across the whole target image. The scale and tint
+     * options of ImageOptions apply to every copy
+     *
+     * @param {Number|TileOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    tiled: function (options) {
+        const opts = imageOptions(options);
+        return function (target, watermark) {
+            const size = markSize(target, watermark, opts);
+            const mark = opts.tint ? tint(watermark, opts.tint) : watermark;
+            return tile(target, size.width, size.height, opts,
+                (context, x, y) => context.drawImage(mark, x, y, size.width, size.height));
+        }
+    }
+};
+
+/**
+ * Return the pixel size of a CSS font, defaulting to 16 when the size
+ * is not given in px
+ *
+ * @param {String} font - same as the CSS font property
+ * @return {Number}
+ */
+function fontSize(font) {
+    const match = /(\d+(?:\.\d+)?)px/.exec(font || '');
+    return match ? parseFloat(match[1]) : 16;
+}
+
+/**
+ * Return the font with its px size replaced
+ *
+ * @param {String} font - same as the CSS font property
+ * @param {Number} size
+ * @return {String}
+ */
+function resizeFont(font, size) {
+    return /\d+(?:\.\d+)?px/.test(font) ?
+        font.replace(/\d+(?:\.\d+)?px/, `${size}px`) :
+        `${size}px ${font}`;
+}
+
+/**
+ * A configuration type for text watermarks
+ *
+ * @typedef {Object} TextOptions
+ * @property {Number} alpha
+ * @property {String} align - 'left', 'center' or 'right' alignment of the lines within the text block
+ * @property {Number} lineHeight - distance between lines as a multiple of the font size (default 1.2)
+ * @property {Number} maxWidth - the font is shrunk until the widest line fits this many px
+ * @property {String} stroke - outline color
+ * @property {Number} strokeWidth - outline width in px (default 2)
+ * @property {Object} shadow - color, blur, offsetX and offsetY of a drop shadow
+ * @property {String} background - fill color of a box behind the text
+ * @property {String} blend - a globalCompositeOperation such as 'multiply', 'screen', 'overlay' or 'difference'
+ * @property {Boolean|AdaptiveOptions} adaptive - write in a light or dark color depending on the area under the
+ * text, instead of the fill style
+ * @property {Number} padding - space in px between the text and the edge of the background box
+ * @property {Number} rotation - rotation of the text block around its center in degrees
+ * @property {Number|String} margin - distance from the edges in px, or a percentage such as '5%', used
+ * by the named positioners (default 10)
+ * @property {Number|String} x - see Position, used by at
+ * @property {Number|String} y
+ * @property {String} anchor
+ * @property {Number|String} offsetX
+ * @property {Number|String} offsetY
+ */
+
+/**
+ * @constant
+ * @type {TextOptions}
+ */
+const textDefaults = {
+    alpha: 1.0,
+    rotation: 0,
+    lineHeight: 1.2,
+    strokeWidth: 2,
+    padding: 0,
+    margin: 10
+};
+
+/**
+ * Normalize text options, accepting a bare alpha value as well
+ * as an options object
+ *
+ * @param {Number|TextOptions} options
+ * @param {String} align - the alignment used when options do not give one
+ * @return {TextOptions}
+ */
+function textOptions(options, align) {
+    if (typeof (options) === 'number') {
+        options = {alpha: options};
+    }
+    const opts = extend(clone(textDefaults), options || {});
+    opts.align || (opts.align = align);
+    return opts;
+}
+
+/**
+ * Measure the lines of a text watermark. Line heights come from the
+ * bounding box of each line when the browser reports it, and from
+ * the font size otherwise
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {String} text - the text to write, lines are separated by \n
+ * @param {String} font - same as the CSS font property
+ * @param {TextOptions} opts
+ * @return {Object} - the font, lines, line height, width and height of the text block
+ */
+function layoutText(context, text, font, opts) {
+    const rows = String(text).split('\n');
+    const measure = () => rows.map(row => {
+        const metrics = context.measureText(row);
+        const size = fontSize(context.font);
+        return {
+            text: row,
+            width: metrics.width,
+            ascent: metrics.actualBoundingBoxAscent || size * 0.8,
+            descent: metrics.actualBoundingBoxDescent || size * 0.2
+        };
+    });
+    const widest = lines => Math.max.apply(null, lines.map(line => line.width));
+
+    context.font = font;
+    let lines = measure();
+
+    if (opts.maxWidth && widest(lines) > opts.maxWidth) {
+        const size = Math.max(1, Math.floor(fontSize(font) * opts.maxWidth / widest(lines)));
+        font = resizeFont(font, size);
+        context.font = font;
+        lines = measure();
+    }
+
+    const lineHeight = fontSize(font) * opts.lineHeight;
+    const padding = opts.background ? opts.padding : 0;
+    const last = lines[lines.length - 1];
+
+    return {
+        font,
+        lines,
+        lineHeight,
+        width: widest(lines) + padding * 2,
+        height: lines[0].ascent + (lines.length - 1) * lineHeight + last.descent + padding * 2
+    };
+}
+
+/**
+ * Draw a text block measured by layoutText with its top left corner at x, y
+ *
+ * @param {CanvasRenderingContext2D} context
+ * @param {Object} layout
+ * @param {Number} x
+ * @param {Number} y
+ * @param {String} fillStyle
+ * @param {TextOptions} opts
+ */
+function drawText(context, layout, x, y, fillStyle, opts) {
+    const padding = opts.background ? opts.padding : 0;
+    const align = opts.align || 'left';
+    const left = {
+        left: x + padding,
+        center: x + layout.width / 2,
+        right: x + layout.width - padding
+    }[align];
+
+    if (opts.background) {
+        context.fillStyle = opts.background;
+        context.fillRect(x, y, layout.width, layout.height);
+    }
+
+    if (opts.shadow) {
+        context.shadowColor = opts.shadow.color || 'rgba(0, 0, 0, 0.5)';
+        context.shadowBlur = opts.shadow.blur || 0;
+        context.shadowOffsetX = opts.shadow.offsetX || 0;
+        context.shadowOffsetY = opts.shadow.offsetY || 0;
+    }
+
+    context.font = layout.font;
+    context.textAlign = align;
+    context.textBaseline = 'alphabetic';
+    context.fillStyle = fillStyle;
+    context.strokeStyle = opts.stroke;
+    context.lineWidth = opts.strokeWidth;
+    context.lineJoin = 'round';
+
+    let baseline = y + padding + layout.lines[0].ascent;
+    layout.lines.forEach(line => {
+        opts.stroke && context.strokeText(line.text, left, baseline);
+        context.fillText(line.text, left, baseline);
+        baseline += layout.lineHeight;
+    });
+}
+
+/**
+ * Return a function for positioning a watermark on a target canvas. The
+ * position functions are given the target and the box taken up by the
+ * text
+ *
+ * @param {Function} xFn - a function to determine an x value
+ * @param {Function} yFn - a function to determine a y value
+ * @param {String} text - the text to write
+ * @param {String} font - same as the CSS font property
+ * @param {String} fillStyle
+ * @param {Number|TextOptions} options - an alpha value or an options object
+ * @param {String} align - the alignment used when options do not give one
+ * @return {Function}
+ */
+function atPosText(xFn, yFn, text, font, fillStyle, options, align) {
+    const opts = textOptions(options, align);
+    return function (target) {
+        const context = target.getContext('2d');
+        context.save();
+
+        const layout = layoutText(context, text, font, opts);
+        const box = rotatedBounds(layout, opts.rotation);
+        const x = xFn(target, box);
+        const y = yFn(target, box);
+        const fill = (opts.adaptive && adaptiveColor(target, x, y, box, opts.adaptive)) || fillStyle;
+
+        context.globalAlpha = opts.alpha;
+        opts.blend && (context.globalCompositeOperation = opts.blend);
+        context.translate(x + box.width / 2, y + box.height / 2);
+        context.rotate(opts.rotation * Math.PI / 180);
+        drawText(context, layout, -layout.width / 2, -layout.height / 2, fill, opts);
+
+        context.restore();
+        return target;
+    }
+}
+
+/**
+ * Return a function writing text at the position given in the options.
+ * Lines are aligned to the side of the anchor unless the options say otherwise
+ *
+ * @param {String} text - the text to write
+ * @param {String} font - same as the CSS font property
+ * @param {String} fillStyle
+ * @param {TextOptions} options
+ * @return {Function}
+ */
+function textAt(text, font, fillStyle, options) {
+    const alignment = ['left', 'center', 'right'][anchorPoint(options && options.anchor).x * 2];
+    const opts = textOptions(options, alignment);
+    const position = anchored(opts);
+    return atPosText(position.x, position.y, text, font, fillStyle, opts);
+}
+
+var text = {
+    /**
+     * Write text at any position of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {TextOptions} options
+     * @return {Function}
+     */
+    at: textAt,
+    /**
+     * Write text to the lower right corner of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TextOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    lowerRight: function (text, font, fillStyle, options) {
+        return textAt(text, font, fillStyle, placement(textOptions(options), 'bottom-right'));
+    },
+    /**
+     * Write text to the upper right corner of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TextOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    upperRight: function (text, font, fillStyle, options) {
+        return textAt(text, font, fillStyle, placement(textOptions(options), 'top-right'));
+    },
+    /**
+     * Write text to the lower left corner of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TextOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    lowerLeft: function (text, font, fillStyle, options) {
+        return textAt(text, font, fillStyle, placement(textOptions(options), 'bottom-left'));
+    },
+    /**
+     * Write text to the upper left corner of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TextOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    upperLeft: function (text, font, fillStyle, options) {
+        return textAt(text, font, fillStyle, placement(textOptions(options), 'top-left'));
+    },
+    /**
+     * Write text to the center of the target canvas
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TextOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    center: function (text, font, fillStyle, options) {
+        return textAt(text, font, fillStyle, placement(textOptions(options), 'center'));
+    },
+    /**
+     * Repeat text across the whole target canvas. The styling options of
+     * TextOptions apply to every copy
+     *
+     * @param {String} text - the text to write
+     * @param {String} font - same as the CSS font property
+     * @param {String} fillStyle
+     * @param {Number|TileOptions} options - an alpha value or an options object
+     * @return {Function}
+     */
+    tiled: function (text, font, fillStyle, options) {
+        const opts = textOptions(options, 'left');
+        return function (target) {
+            const context = target.getContext('2d');
+            context.save();
+            const layout = layoutText(context, text, font, opts);
+            context.restore();
+
+            return tile(target, layout.width, layout.height, opts,
+                (ctx, x, y) => drawText(ctx, layout, x, y, fillStyle, opts));
+        }
+    }
+};
+
+/**
+ * Marks the start of a payload hidden in pixel data
+ *
+ * @constant
+ * @type {Number[]}
+ */
+const invisibleMagic = [0x57, 0x4D];
+
+/**
+ * A configuration type for invisible watermarks
+ *
+ * @typedef {Object} InvisibleOptions
+ * @property {String} channel - 'r', 'g' or 'b', the color channel carrying the payload (default 'b')
+ */
+
+/**
+ * Return the offsets into image data of the channel of every fully opaque
+ * pixel. Other pixels are skipped, as the canvas does not keep their exact values
+ *
+ * @param {ImageData} data
+ * @param {InvisibleOptions} options
+ * @return {Number[]}
+ */
+function payloadOffsets(data, options) {
+    const channel = {r: 0, g: 1, b: 2}[(options && options.channel) || 'b'];
+    const offsets = [];
+    for (let i = 0; i < data.data.length; i += 4) {
+        data.data[i + 3] === 255 && offsets.push(i + channel);
+    }
+    return offsets;
+}
+
+/**
+ * Write a payload into the least significant bits of the target
+ *
+ * @param {HTMLCanvasElement} target
+ * @param {String} payload
+ * @param {InvisibleOptions} options
+ * @return {HTMLCanvasElement}
+ */
+function writePayload(target, payload, options) {
+    const context = target.getContext('2d');
+    const data = context.getImageData(0, 0, target.width, target.height);
+    const message = new TextEncoder().encode(payload);
+    const checksum = Array.prototype.reduce.call(message, (sum, byte) => (sum + byte) % 256, 0);
+    const bytes = invisibleMagic.concat([message.length >> 8, message.length & 0xFF],
+        Array.prototype.slice.call(message), [checksum]);
+    const offsets = payloadOffsets(data, options);
+
+    if (message.length > 0xFFFF || bytes.length * 8 > offsets.length) {
+        throw new WatermarkError(WatermarkError.CAPACITY, 'The target image is too small to hold the payload',
+            undefined, 0);
+    }
+
+    bytes.forEach((byte, i) => {
+        for (let bit = 0; bit < 8; bit++) {
+            const offset = offsets[i * 8 + bit];
+            data.data[offset] = (data.data[offset] & 0xFE) | ((byte >> (7 - bit)) & 1);
+        }
+    });
+
+    context.putImageData(data, 0, 0);
+    return target;
+}
+
+/**
+ * Read a payload written by writePayload
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {InvisibleOptions} options
+ * @return {String|null} - null when the image holds no payload
+ */
+function readPayload(canvas, options) {
+    const data = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    const offsets = payloadOffsets(data, options);
+    const byteAt = i => {
+        let byte = 0;
+        for (let bit = 0; bit < 8; bit++) {
+            byte = (byte << 1) | (data.data[offsets[i * 8 + bit]] & 1);
+        }
+        return byte;
+    };
+
+    if (offsets.length < 40 || byteAt(0) !== invisibleMagic[0] || byteAt(1) !== invisibleMagic[1]) {
+        return null;
+    }
+
+    const length = (byteAt(2) << 8) | byteAt(3);
+    if ((length + 5) * 8 > offsets.length) {
+        return null;
+    }
+
+    const message = new Uint8Array(length);
+    let checksum = 0;
+    for (let i = 0; i < length; i++) {
+        message[i] = byteAt(4 + i);
+        checksum = (checksum + message[i]) % 256;
+    }
+
+    if (checksum !== byteAt(4 + length)) {
+        return null;
+    }
+
+    try {
+        return new TextDecoder('utf-8', {fatal: true}).decode(message);
+    } catch (e) {
+        return null;
+    }
+}
+
+var invisible = {
+    /**
+     * Hide a short string in the pixel data of the target. The payload
+     * survives lossless output such as PNG, but not JPEG or WebP
+     *
+     * @param {String} payload
+     * @param {InvisibleOptions} options
+     * @return {Function}
+     */
+    embed: function (payload, options) {
+        return function (target) {
+            return writePayload(target, String(payload), options);
+        }
+    },
+    /**
+     * Read the payload hidden by embed from a resource
+     *
+     * @param {String|File|Image} resource
+     * @param {InvisibleOptions} options - also accepts the loading Options
+     * @return {Promise} - evaluates to the payload, or null if there is none
+     */
+    extract: function (resource, options) {
+        const opts = mergeOptions(options || {});
+        const pool = poolFor(opts);
+        return load([resource], opts).then(images => {
+            const canvas = imageToCanvas(images[0], pool);
+            try {
+                return readPayload(canvas, options);
+            } finally {
+                pool.release(canvas);
+            }
+        });
+    }
+};
+
+/**
+ * A configuration type for QR code watermarks. The ImageOptions apply as well,
+ * scale resizing the code relative to the target instead of using size. tint
+ * and adaptive color the dark modules only, and adaptive is not used with a
+ * background, which the modules already contrast with
+ *
+ * @typedef {Object} QrOptions
+ * @property {Number} alpha
+ * @property {Number} size - width and height of the code in px, without the quiet zone (default 96)
+ * @property {Number|String} margin - distance from the edges in px, or a percentage such as '5%', used
+ * by the named positioners (default 10)
+ * @property {String} errorCorrection - 'L', 'M', 'Q' or 'H', recovering about 7%, 15%, 25% or 30% of a
+ * damaged or covered code (default 'M')
+ * @property {String} color - color of the dark modules (default '#000')
+ * @property {String} background - color of a quiet zone box behind the code, none by default
+ * @property {Number} quietZone - width of the background border in modules (default 4)
+ * @property {Number|String} x - see Position, used by at
+ * @property {Number|String} y
+ * @property {String} anchor
+ * @property {Number|String} offsetX
+ * @property {Number|String} offsetY
+ */
+
+/**
+ * @constant
+ * @type {QrOptions}
+ */
+const qrDefaults = {
+    size: 96,
+    errorCorrection: 'M',
+    color: '#000',
+    quietZone: 4
+};
+
+/**
+ * Normalize QR code options on top of the image defaults
+ *
+ * @param {QrOptions} options
+ * @return {QrOptions}
+ */
+function qrOptions(options) {
+    return extend(extend(clone(imageDefaults), qrDefaults), options || {});
+}
+
+/**
+ * Return the px position of the edge of a module, counting the quiet zone.
+ * Module edges are rounded to whole pixels, so the code stays sharp at any size
+ *
+ * @param {QrCode} code
+ * @param {QrOptions} opts
+ * @return {Function} - given the index of a module
+ */
+function qrEdge(code, opts) {
+    const border = opts.background ? opts.quietZone : 0;
+    const module = opts.size / code.size;
+    return i => Math.round((i + border) * module);
+}
+
+/**
+ * Draw the modules of a QR code on a canvas
+ *
+ * @param {QrCode} code
+ * @param {QrOptions} opts
+ * @param {String} color - the color of the dark modules
+ * @return {HTMLCanvasElement}
+ */
+function qrCanvas(code, opts, color) {
+    const border = opts.background ? opts.quietZone : 0;
+    const edge = qrEdge(code, opts);
+    const canvas = backend.createCanvas();
+    canvas.width = canvas.height = edge(code.size + border);
+
+    const context = canvas.getContext('2d');
+    if (opts.background) {
+        context.fillStyle = opts.background;
+        context.fillRect(0, 0, canvas.width, canvas.height);
+    }
+
+    context.fillStyle = color;
+    code.modules.forEach((row, y) => row.forEach((dark, x) => {
+        dark && context.fillRect(edge(x), edge(y), edge(x + 1) - edge(x), edge(y + 1) - edge(y));
+    }));
+    return canvas;
+}
+
+/**
+ * Return a function placing a QR code of the data at the position given
+ * in the options. The code is encoded right away, so data too long for a
+ * QR code throws a RangeError here rather than when drawing
+ *
+ * @param {String} data
+ * @param {QrOptions} options
+ * @return {Function}
+ */
+function qrAt(data, options) {
+    const opts = qrOptions(options);
+    const code = Qr.encode(String(data), opts.errorCorrection);
+    const position = anchored(opts);
+    // the color is chosen here, tinting the whole mark would cover the background
+    const draw = atPosImage(position.x, position.y, extend(clone(opts), {tint: null, adaptive: false}));
+    const adaptive = !opts.background && opts.adaptive;
+    const side = qrEdge(code, opts)(code.size + (opts.background ? opts.quietZone : 0));
+    const marks = {};
 
+    return function (target) {
+        let color = opts.tint || opts.color;
+        if (adaptive) {
+            const box = rotatedBounds(markSize(target, {width: side, height: side}, opts), opts.rotation);
+            color = adaptiveColor(target, position.x(target, box), position.y(target, box), box, adaptive) || color;
+        }
+        marks[color] || (marks[color] = qrCanvas(code, opts, color));
+        return draw(target, marks[color]);
+    }
+}
+
+var qr = {
     /**
-     * Place the watermark in the lower right corner of the target
+     * Place a QR code of the data at any position of the target image
+     *
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
+     * @return {Function}
+     */
+    at: qrAt,
+    /**
+     * Place a QR code of the data in the lower right corner of the target
      * image
      *
-     * @param {Number} alpha
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
      * @return {Function}
      */
-    lowerRight: function () {
-        return atPosImage(
-            (target, mark) => target.width - (mark.width + 10), (target, mark) => target.height - (mark.height + 10),
-            alpha
-        );
+    lowerRight: function (data, options) {
+        return qrAt(data, placement(qrOptions(options), 'bottom-right'));
     },
     /**
-     * Place the watermark in the upper right corner of the target
+     * Place a QR code of the data in the upper right corner of the target
      * image
      *
-     * @param {Number} alpha
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
      * @return {Function}
      */
-    upperRight: function (alpha) {
-        return atPosImage(
-            (target, mark) => target.width - (mark.width + 10), (target, mark) => 10,
-            alpha
-        );
+    upperRight: function (data, options) {
+        return qrAt(data, placement(qrOptions(options), 'top-right'));
     },
     /**
-     * Place the watermark in the lower left corner of the target
+     * Place a QR code of the data in the lower left corner of the target
      * image
      *
-     * @param {Number} alpha
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
      * @return {Function}
      */
-    lowerLeft: function (alpha) {
-        return atPosImage(
-            (target, mark) => 10, (target, mark) => target.height - (mark.height + 10),
-            alpha
-        );
+    lowerLeft: function (data, options) {
+        return qrAt(data, placement(qrOptions(options), 'bottom-left'));
     },
     /**
-     * Place the watermark in the upper left corner of the target
+     * Place a QR code of the data in the upper left corner of the target
      * image
      *
-     * @param {Number} alpha
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
      * @return {Function}
      */
-    upperLeft: function (alpha) {
-        return atPosImage(
-            (target, mark) => 10, (target, mark) => 10,
-            alpha
-        );
+    upperLeft: function (data, options) {
+        return qrAt(data, placement(qrOptions(options), 'top-left'));
     },
     /**
-     * Place the watermark in the center of the target
-     * image
+     * Place a QR code of the data in the center of the target image
      *
-     * @param {Number} alpha
+     * @param {String} data - the text or url encoded
+     * @param {QrOptions} options
      * @return {Function}
      */
-    center: function (alpha) {
-        return atPosImage(
-            (target, mark) => (target.width - mark.width) / 2, (target, mark) => (target.height - mark.height) / 2,
-            alpha
-        );
+    center: function (data, options) {
+        return qrAt(data, placement(qrOptions(options), 'center'));
     }
 };
 
 /**
- * Return a function for positioning a watermark on a target canvas
+ * A draw function together with the resource it draws
  *
- * @param {Function} xFn - a function to determine an x value
- * @param {Function} yFn - a function to determine a y value
- * @param {String} text - the text to write
- * @param {String} font - same as the CSS font property
- * @param {String} fillStyle
- * @param {Number} alpha
+ * @typedef {Object} ComposeLayer
+ * @property {Function} draw - a draw function such as image.lowerRight(0.5) or text.center(...)
+ * @property {Number} resource - the index of the resource given to draw as the watermark, 0 being
+ * the target (default 1)
+ */
+
+/**
+ * Return a draw function applying several layers to the target in a single
+ * pass. A plain function is given the target and every other resource, a
+ * ComposeLayer only the resource it names
+ *
+ * @param {...Function|ComposeLayer} layers - drawn in order
+ * @return {Function}
+ */
+function compose(...layers) {
+    return function (target, ...marks) {
+        const sources = [target].concat(marks);
+        layers.forEach((layer, i) => {
+            if (typeof (layer) === 'function') {
+                return layer.apply(null, sources);
+            }
+
+            const index = layer.resource === undefined ? 1 : layer.resource;
+            if (index >= sources.length) {
+                throw new WatermarkError(WatermarkError.LOAD,
+                    `Layer ${i} draws resource ${index}, which was not loaded`, undefined, index);
+            }
+            layer.draw(target, sources[index]);
+        });
+        return target;
+    }
+}
+
+/**
+ * A serializable description of a watermark, see WatermarkConfig.watermark.fromTemplate
+ *
+ * @typedef {Object} Template
+ * @property {Number} version - the version of the format, 1
+ * @property {Layer[]} layers - drawn in order
+ */
+
+/**
+ * A single image, text or QR code watermark of a template. Any string may
+ * contain variables such as {{username}}
+ *
+ * @typedef {Object} Layer
+ * @property {String} type - 'image', 'text' or 'qr'
+ * @property {String|Position} position - 'lowerRight', 'upperRight', 'lowerLeft', 'upperLeft', 'center', 'tiled'
+ * or a Position (default 'lowerRight'). QR codes are not tiled
+ * @property {Number} resource - the index of the image among the resources, for image layers (default 1)
+ * @property {String} text - for text layers
+ * @property {String} font - same as the CSS font property, for text layers
+ * @property {String} color - the fill style, for text layers
+ * @property {String} data - the text or url encoded, for qr layers
+ * @property {ImageOptions|TextOptions|TileOptions|QrOptions} options - size, opacity and styling of the layer
+ */
+
+/**
+ * @constant
+ * @type {String[]}
+ */
+const templatePositions = ['lowerRight', 'upperRight', 'lowerLeft', 'upperLeft', 'center', 'tiled'];
+
+const variable = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * The types of the options a layer may set, see ImageOptions, TextOptions,
+ * TileOptions, QrOptions and Position. A length is px or a percentage
+ *
+ * @constant
+ * @type {Object}
+ */
+const optionTypes = {
+    alpha: 'number', scale: 'number', minSize: 'number', maxSize: 'number', rotation: 'number', spacing: 'number',
+    offset: 'number', angle: 'number', lineHeight: 'number', maxWidth: 'number', strokeWidth: 'number',
+    padding: 'number', size: 'number', quietZone: 'number', threshold: 'number', blur: 'number',
+    relativeTo: 'string', blend: 'string', tint: 'string', align: 'string', stroke: 'string', background: 'string',
+    color: 'string', errorCorrection: 'string', anchor: 'string', light: 'string', dark: 'string',
+    margin: 'length', x: 'length', y: 'length', offsetX: 'length', offsetY: 'length'
+};
+
+/**
+ * Throw a template error unless the condition holds
+ *
+ * @param {Boolean} condition
+ * @param {String} path - where in the template the problem is, such as layers[0].font
+ * @param {String} message
+ */
+function expect(condition, path, message) {
+    if (!condition) {
+        throw new WatermarkError(WatermarkError.TEMPLATE, `Invalid template: ${path} ${message}`);
+    }
+}
+
+/**
+ * Check the types of the options of a layer, or of its shadow or adaptive
+ * options
+ *
+ * @param {Object} options
+ * @param {String} path
+ */
+function validateOptions(options, path) {
+    const checks = {
+        number: value => typeof (value) === 'number' && isFinite(value),
+        string: value => typeof (value) === 'string',
+        length: value => checks.number(value) || (checks.string(value) && /^\s*-?(\d*\.)?\d+(px|%)?\s*$/.test(value))
+    };
+    const descriptions = {number: 'a number', string: 'a string', length: 'a number of px or a percentage'};
+
+    Object.keys(options).forEach(key => {
+        const value = options[key];
+        if (value === undefined) {
+            return;
+        }
+
+        if (key === 'shadow' || key === 'adaptive') {
+            const object = value && typeof (value) === 'object';
+            expect(object || (key === 'adaptive' && typeof (value) === 'boolean'), `${path}.${key}`,
+                key === 'adaptive' ? 'must be a boolean or an object' : 'must be an object');
+            object && validateOptions(value, `${path}.${key}`);
+        } else if (optionTypes[key]) {
+            expect(checks[optionTypes[key]](value), `${path}.${key}`, `must be ${descriptions[optionTypes[key]]}`);
+        }
+    });
+}
+
+/**
+ * Check a layer against the template format
+ *
+ * @param {Layer} layer
+ * @param {String} path
+ */
+function validateLayer(layer, path) {
+    const isString = value => typeof (value) === 'string';
+    const isLength = value => typeof (value) === 'number' || isString(value);
+
+    expect(layer && typeof (layer) === 'object', path, 'must be an object');
+    expect(['image', 'text', 'qr'].indexOf(layer.type) !== -1, `${path}.type`, 'must be "image", "text" or "qr"');
+
+    const position = layer.position;
+    if (position && typeof (position) === 'object') {
+        expect(isLength(position.x) && isLength(position.y), `${path}.position`, 'must have an x and a y');
+        validateOptions(position, `${path}.position`);
+    } else {
+        expect(position === undefined || templatePositions.indexOf(position) !== -1, `${path}.position`,
+            `must be a Position or one of ${templatePositions.join(', ')}`);
+    }
+
+    expect(layer.options === undefined || (layer.options && typeof (layer.options) === 'object'),
+        `${path}.options`, 'must be an object');
+    layer.options && validateOptions(layer.options, `${path}.options`);
+
+    if (layer.type === 'image') {
+        expect(layer.resource === undefined || (layer.resource % 1 === 0 && layer.resource > 0),
+            `${path}.resource`, 'must be the index of a resource after the target');
+    } else if (layer.type === 'qr') {
+        expect(isString(layer.data), `${path}.data`, 'must be a string');
+        expect(position !== 'tiled', `${path}.position`, 'can not be tiled for a QR code');
+    } else {
+        expect(isString(layer.text), `${path}.text`, 'must be a string');
+        expect(isString(layer.font), `${path}.font`, 'must be a string');
+        expect(isString(layer.color), `${path}.color`, 'must be a string');
+    }
+}
+
+/**
+ * Parse and check a template, throwing a WatermarkError.TEMPLATE error
+ * describing the first problem found
+ *
+ * @param {String|Template} template - the template or its JSON
+ * @return {Template}
+ */
+function validateTemplate(template) {
+    if (typeof (template) === 'string') {
+        try {
+            template = JSON.parse(template);
+        } catch (e) {
+            expect(false, 'template', `is not valid JSON: ${e.message}`);
+        }
+    }
+
+    expect(template && typeof (template) === 'object', 'template', 'must be an object');
+    expect(template.version === undefined || template.version === 1, 'version', 'must be 1');
+    expect(Array.isArray(template.layers) && template.layers.length > 0, 'layers', 'must be a non empty array');
+    template.layers.forEach((layer, i) => validateLayer(layer, `layers[${i}]`));
+
+    return template;
+}
+
+/**
+ * Replace the variables in every string of a value
+ *
+ * @param {Mixed} value
+ * @param {Object} vars
+ * @param {String} path
+ * @return {Mixed}
+ */
+function substitute(value, vars, path) {
+    if (typeof (value) === 'string') {
+        return value.replace(variable, (match, name) => {
+            expect(Object.prototype.hasOwnProperty.call(vars, name), path, `uses the unknown variable ${match}`);
+            return vars[name];
+        });
+    }
+
+    if (Array.isArray(value)) {
+        return value.map((item, i) => substitute(item, vars, `${path}[${i}]`));
+    }
+
+    if (value && typeof (value) === 'object') {
+        return Object.keys(value).reduce((copy, key) => {
+            copy[key] = substitute(value[key], vars, `${path}.${key}`);
+            return copy;
+        }, {});
+    }
+
+    return value;
+}
+
+/**
+ * Return the draw function of a layer
+ *
+ * @param {Layer} layer
+ * @param {String} path
+ * @return {Function}
+ */
+function drawLayer(layer, path) {
+    const position = layer.position || 'lowerRight';
+    const options = layer.options || {};
+    const styles = {image, text, qr}[layer.type];
+    const args = {image: [], text: [layer.text, layer.font, layer.color], qr: [layer.data]}[layer.type];
+
+    try {
+        if (typeof (position) === 'string') {
+            return styles[position].apply(null, args.concat([options]));
+        }
+        return styles.at.apply(null, args.concat([extend(clone(options), position)]));
+    } catch (error) {
+        // the data of a qr layer, once its variables are replaced, may not fit a code
+        expect(layer.type !== 'qr' || !(error instanceof RangeError), `${path}.data`, error.message);
+        throw error;
+    }
+}
+
+/**
+ * Return a draw function for a template
+ *
+ * @param {String|Template} template - the template or its JSON
+ * @param {Object} vars - values of the variables used by the template. date defaults to today
+ * @return {Function}
+ */
+function fromTemplate(template, vars) {
+    const parsed = validateTemplate(template);
+    const values = extend({date: new Date().toISOString().slice(0, 10)}, vars || {});
+    const layers = substitute(parsed.layers, values, 'layers');
+    const draw = compose.apply(null, layers.map((layer, i) => ({
+        draw: drawLayer(layer, `layers[${i}]`),
+        resource: layer.type === 'image' ? layer.resource || 1 : 0
+    })));
+
+    draw.template = parsed;
+    return draw;
+}
+
+/**
+ * Create a DrawResult by apply a list of canvas elements to a draw function
+ *
+ * @param {Function} draw - the draw function used to create a DrawResult
+ * @param {HTMLCanvasElement} sources - the canvases used by the draw function
+ * @return {DrawResult}
+ */
+function result(draw, sources) {
+    const canvas = draw.apply(null, sources);
+    return {
+        canvas,
+        sources
+    };
+}
+
+// ** Export Watermark ** //
+
+/**
+ * A configuration type for the watermark function
+ *
+ * @typedef {Object} Options
+ * @property {Function} init - an initialization function that is given Image objects before loading (only applies if resources is a collection of urls)
+ * @property {Number} poolSize - the most idle canvas elements kept for drawing
+ * @property {CanvasPool} pool - the pool used, see WatermarkConfig.watermark.pool. If provided, poolSize will be ignored
+ * @property {String|File|Image} source - the resource output type and preserved metadata come from,
+ * defaults to the first resource
+ * @property {String} type - MIME type of the output, defaults to the type of the source
+ * @property {Number} quality - between 0 and 1, the quality of lossy output types
+ * @property {Metadata} metadata - metadata written into JPEG and PNG output, see lib/metadata.js
+ * @property {Number} timeout - ms a resource may take to load before failing with a timeout error
+ * @property {String|File|Image|Function} fallback - loaded in place of a watermark that fails to load. A function
+ * is given the error and returns the resource to use
+ * @property {String} orientation - 'auto' to turn File, Blob and Buffer resources upright by their Exif
+ * orientation, or 'ignore' to draw them as stored (default 'auto'). 'ignore' is not supported by backends that apply
+ * the orientation while decoding, which includes current browsers; their output is always upright
+ * @property {Boolean|String} worker - decode, draw and encode in a worker where the browser supports OffscreenCanvas.
+ * A string is the url of the worker script, see worker/worker.js
+ * @property {Boolean} animated - draw on every frame of an animated GIF or WebP target and output an animated GIF
+ * from dataUrl, blob and image. Targets that are not animated are drawn as usual
+ * @property {Function|Number[]} frames - the indexes of the frames drawn on, or a function given the index and
+ * the Frame returning whether to draw on it (default every frame)
+ * @property {Boolean} cache - false to neither use nor fill the asset cache, see WatermarkConfig.watermark.preload
+ * @property {AbortSignal} signal - aborting it rejects the chain with a WatermarkError.ABORT error and returns the
+ * canvases in use to their pool
+ * @property {Function} onProgress - given an event with the stage of the work: 'loading' (with the loaded and total
+ * resource counts), 'drawing', 'encoding' and 'done'
+ */
+
+/**
+ * @constant
+ * @type {Options}
+ */
+const defaults = {
+    init: () => {},
+    quality: 0.92,
+    orientation: 'auto'
+}
+
+/**
+ * Merge the given options with the defaults
+ *
+ * @param {Options} options
+ * @return {Options}
+ */
+function mergeOptions(options) {
+    return extend(clone(defaults), options);
+}
+
+/**
+ * The encoding of a watermarked image
+ *
+ * @typedef {Object} Output
+ * @property {String} type - MIME type such as image/jpeg, image/webp or image/png
+ * @property {Number} quality - between 0 and 1, for lossy types
+ * @property {Metadata} metadata - metadata written into JPEG and PNG output, see lib/metadata.js
+ */
+
+/**
+ * Release canvases from a draw result for reuse once the result's
+ * canvas has been encoded
+ *
+ * @param {DrawResult} result
+ * @param {CanvasPool} pool
+ * @param {Function} encode - given the canvas, returns the output or a promise for it
+ * @return  {Promise}
+ */
+function release(result, pool, encode) {
+    const {
+        canvas, sources
+    } = result;
+    const output = new Promise(resolve => resolve(encode(canvas)));
+    const done = () => sources.forEach(pool.release);
+
+    return output.then(value => {
+        done();
+        return value;
+    }, error => {
+        const tainted = error && error.name === 'SecurityError' ? firstTainted(sources) : -1;
+        done();
+        throw tainted === -1 ? error : new WatermarkError(
+            WatermarkError.TAINTED, 'A cross origin image tainted the canvas', undefined, tainted
+        );
+    });
+}
+
+/**
+ * Return the index of the first canvas that can not be read, or -1 if
+ * all of them can
+ *
+ * @param {HTMLCanvasElement[]} canvases
+ * @return {Number}
+ */
+function firstTainted(canvases) {
+    for (let i = 0; i < canvases.length; i++) {
+        try {
+            canvases[i].getContext('2d').getImageData(0, 0, 1, 1);
+        } catch (e) {
+            return i;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Draw the loaded images with the draw function and encode the result
+ *
+ * @param {Promise} promise - evaluates to the loaded images
+ * @param {Function} draw
+ * @param {CanvasPool} pool
+ * @param {Function} encode - given the canvas, returns the output or a promise for it
+ * @param {Array} resources - the resources drawn, used to describe errors
+ * @param {Options} opts - uses signal and onProgress
+ * @return {Promise}
+ */
+function render(promise, draw, pool, encode, resources, opts) {
+    return promise
+        .then(images => {
+            checkAborted(opts);
+            progress(opts, 'drawing');
+
+            // canvases go back to the pool if drawing fails or is aborted
+            const canvases = [];
+            try {
+                images.forEach(img => {
+                    const canvas = pool.pop();
+                    canvases.push(canvas);
+                    drawImage(img, canvas);
+                });
+                const drawn = result(draw, canvases);
+                checkAborted(opts);
+                return drawn;
+            } catch (error) {
+                canvases.forEach(pool.release);
+                throw error;
+            }
+        })
+        .then(drawn => {
+            progress(opts, 'encoding');
+            return release(drawn, pool, encode);
+        })
+        .then(output => {
+            progress(opts, 'done');
+            return output;
+        })
+        .catch(error => {
+            if (error instanceof WatermarkError && error.resource === undefined) {
+                error.resource = resources[error.index];
+            }
+            throw error;
+        });
+}
+
+/**
+ * Encode a canvas to a data url, writing the metadata of the output
+ * into the encoded image if there is any
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Output} output
+ * @return {Promise}
+ */
+function encodeDataUrl(canvas, output) {
+    const encoded = Promise.resolve(backend.toDataUrl(canvas, output.type, output.quality));
+
+    if (!output.metadata) {
+        return encoded;
+    }
+
+    const original = output.metadata.preserve ? readHead(output.source) : Promise.resolve(null);
+    return Promise.all([encoded, original]).then(([url, head]) => {
+        const [type, data] = split(url);
+        const bytes = Metadata.embed(uint8(backend.atob(data)), type, head, output.metadata, output.upright);
+        return bytesToDataUrl(bytes, type);
+    });
+}
+
+/**
+ * Return encoded bytes as a data url
+ *
+ * @param {Uint8Array} bytes
+ * @param {String} type - the MIME type of the bytes
+ * @return {String}
+ */
+function bytesToDataUrl(bytes, type) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 8192) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 8192));
+    }
+    return `data:${type};base64,${backend.btoa(binary)}`;
+}
+
+/**
+ * Encode a canvas to the platform's binary type
+ *
+ * @param {HTMLCanvasElement} canvas
+ * @param {Output} output
+ * @return {Promise}
+ */
+function encodeBlob(canvas, output) {
+    if (typeof (backend.canvasToBlob) === 'function' && !output.metadata) {
+        return backend.canvasToBlob(canvas, output.type, output.quality);
+    }
+    return encodeDataUrl(canvas, output)
+        .then(url => backend.toBlob(url));
+}
+
+/**
+ * Return whether the bytes are a WebP holding an animation
+ *
+ * @param {Uint8Array} bytes
+ * @return {Boolean}
+ */
+function isAnimatedWebp(bytes) {
+    const tag = offset => String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+    return bytes.length > 20 && tag(0) === 'RIFF' && tag(8) === 'WEBP' && tag(12) === 'VP8X' && (bytes[20] & 0x02) !== 0;
+}
+
+/**
+ * Decode the frames of an animated WebP, where the platform has an ImageDecoder
+ *
+ * @param {Uint8Array} bytes
+ * @return {Promise} - evaluates to an Animation, or null without an ImageDecoder
+ */
+function decodeWebp(bytes) {
+    if (typeof (ImageDecoder) === 'undefined') {
+        return Promise.resolve(null);
+    }
+
+    const decoder = new ImageDecoder({data: bytes, type: 'image/webp'});
+    const canvas = backend.createCanvas();
+    const context = canvas.getContext('2d');
+    const frames = [];
+
+    return decoder.tracks.ready.then(() => {
+        const track = decoder.tracks.selectedTrack;
+        const next = index => index >= track.frameCount ? null : decoder.decode({frameIndex: index}).then(({image}) => {
+            canvas.width = image.displayWidth;
+            canvas.height = image.displayHeight;
+            context.drawImage(image, 0, 0);
+            frames.push({
+                pixels: context.getImageData(0, 0, canvas.width, canvas.height).data,
+                delay: (image.duration || 0) / 1000
+            });
+            image.close();
+            return next(index + 1);
+        });
+
+        return Promise.resolve(next(0)).then(() => {
+            decoder.close();
+            const repeats = track.repetitionCount;
+            return {
+                width: canvas.width,
+                height: canvas.height,
+                loop: repeats === Infinity ? 0 : repeats || null,
+                frames
+            };
+        });
+    });
+}
+
+/**
+ * Decode every frame of an animated GIF or WebP
+ *
+ * @param {String|Blob|ArrayBuffer|Uint8Array} resource
+ * @return {Promise} - evaluates to an Animation, or null if the resource is not animated
+ */
+function decodeAnimation(resource) {
+    return Promise.resolve(backend.readBytes(resource)).then(bytes => {
+        if (!bytes) {
+            return null;
+        }
+        if (Gif.isGif(bytes)) {
+            return Gif.decode(bytes);
+        }
+        return isAnimatedWebp(bytes) ? decodeWebp(bytes) : null;
+    }).then(animation => animation && animation.frames.length > 1 ? animation : null, () => null);
+}
+
+/**
+ * Return the test deciding which frames are drawn on
+ *
+ * @param {Function|Number[]} frames - see Options.frames
  * @return {Function}
  */
-function atPosText(xFn, yFn, text, font, fillStyle, alpha) {
-    alpha || (alpha = 1.0);
-    return function (target) {
-        const context = target.getContext('2d');
-        context.save();
-
-        context.globalAlpha = alpha;
-        context.fillStyle = fillStyle;
-        context.font = font;
-        let metrics = context.measureText(text);
-        context.fillText(text, xFn(target, metrics, context), yFn(target, metrics, context));
-
-        context.restore();
-        return target;
+function frameFilter(frames) {
+    if (typeof (frames) === 'function') {
+        return frames;
+    }
+    if (Array.isArray(frames)) {
+        return index => frames.indexOf(index) !== -1;
     }
+    return () => true;
 }
 
+/**
+ * Apply the draw function to the frames of an animated target and encode
+ * them as a GIF
+ *
+ * @param {Array} resources - the target and its watermarks
+ * @param {Options} opts - uses pool, poolSize, frames, signal and onProgress
+ * @param {Function} images - returns a promise for the loaded resources
+ * @param {Function} draw
+ * @return {Promise} - evaluates to the bytes of the GIF, or null if the target is not animated
+ */
+function drawAnimation(resources, opts, images, draw) {
+    return decodeAnimation(resources[0]).then(animation => animation && images().then(loaded => {
+        checkAborted(opts);
+        progress(opts, 'drawing');
+        const pool = poolFor(opts);
+        const marks = mapToCanvas(loaded.slice(1), pool);
+        const canvas = pool.pop();
+        const selected = frameFilter(opts.frames);
+        canvas.width = animation.width;
+        canvas.height = animation.height;
+
+        const context = canvas.getContext('2d');
+        const frame = context.createImageData(animation.width, animation.height);
+        try {
+            animation.frames.forEach((current, index) => {
+                checkAborted(opts);
+                if (!selected(index, current)) {
+                    return;
+                }
+                frame.data.set(current.pixels);
+                context.putImageData(frame, 0, 0);
+                draw.apply(null, [canvas].concat(marks));
+                current.pixels = context.getImageData(0, 0, animation.width, animation.height).data;
+            });
+        } catch (error) {
+            const tainted = error && error.name === 'SecurityError' ? firstTainted(marks) : -1;
+            throw tainted === -1 ? error : new WatermarkError(
+                WatermarkError.TAINTED, 'A cross origin image tainted the canvas', undefined, tainted + 1
+            );
+        } finally {
+            [canvas].concat(marks).forEach(pool.release);
+        }
 
+        progress(opts, 'encoding');
+        const bytes = Gif.encode(animation);
+        progress(opts, 'done');
+        return bytes;
+    }));
+}
 
+/**
+ * The url the package serves its worker script at
+ *
+ * @constant
+ * @type {String}
+ */
+const workerUrl = '/packages/newbiepub_image-watermark/worker/worker.js';
 
+/**
+ * Workers by script url, and the requests waiting for an answer from them
+ */
+const workers = {};
+const pending = {};
+let requests = 0;
 
-
-var text = {
-        /**
-         * Write text to the lower right corner of the target canvas
-         *
-         * @param {String} text - the text to write
-         * @param {String} font - same as the CSS font property
-         * @param {String} fillStyle
-         * @param {Number} alpha - control text transparency
-         * @param {Number} y - height in text metrics is not very well supported. This is a manual value
-         * @return {Function}
-         */
-        lowerRight: function (text, font, fillStyle, alpha, y) {
-            return atPosText(
-                (target, metrics) => target.width - (metrics.width + 10),
-                target => y || (target.height - 10),
-                text,
-                font,
-                fillStyle,
-                alpha
-            );
-        },
-        /**
-         * Write text to the lower left corner of the target canvas
-         *
-         * @param {String} text - the text to write
-         * @param {String} font - same as the CSS font property
-         * @param {String} fillStyle
-         * @param {Number} alpha - control text transparency
-         * @param {Number} y - height in text metrics is not very well supported. This is a manual value
-         * @return {Function}
-         */
-        lowerLeft: function (text, font, fillStyle, alpha, y) {
-            return atPosText(
-                () => 10,
-                target => y || (target.height - 10),
-                text,
-                font,
-                fillStyle,
-                alpha
-            );
-        },
-        /**
-         * Write text to the upper right corner of the target canvas
-         *
-         * @param {String} text - the text to write
-         * @param {String} font - same as the CSS font property
-         * @param {String} fillStyle
-         * @param {Number} alpha - control text transparency
-         * @param {Number} y - height in text metrics is not very well supported. This is a manual value
-         * @return {Function}
-         */
-        upperRight: function (text, font, fillStyle, alpha, y) {
-            return atPosText(
-                (target, metrics) => target.width - (metrics.width + 10), () => y || 20,
-                text,
-                font,
-                fillStyle,
-                alpha
-            );
-        },
-
-        /**
-         * Write text to the upper left corner of the target canvas
-         *
-         * @param {String} text - the text to write
-         * @param {String} font - same as the CSS font property
-         * @param {String} fillStyle
-         * @param {Number} alpha - control text transparency
-         * @param {Number} y - height in text metrics is not very well supported. This is a manual value
-         * @return {Function}
-         */
-        function upperLeft(text, font, fillStyle, alpha, y) {
-            return atPosText(
-                () => 10, () => y || 20,
-                text,
-                font,
-                fillStyle,
-                alpha
-            );
-        },
-        /**
-         * Write text to the center of the target canvas
-         *
-         * @param {String} text - the text to write
-         * @param {String} font - same as the CSS font property
-         * @param {String} fillStyle
-         * @param {Number} alpha - control text transparency
-         * @param {Number} y - height in text metrics is not very well supported. This is a manual value
-         * @return {Function}
-         */
-        function center(text, font, fillStyle, alpha, y) {
-            return atPosText(
-                (target, metrics, ctx) => {
-                    ctx.textAlign = 'center';
-                    return target.width / 2;
-                }, (target, metrics, ctx) => {
-                    ctx.textBaseline = 'middle';
-                    return target.height / 2;
-                },
-                text,
-                font,
-                fillStyle,
-                alpha
-            );
-        }
-    }
-    /**
-     * Create a DrawResult by apply a list of canvas elements to a draw function
-     *
-     * @param {Function} draw - the draw function used to create a DrawResult
-     * @param {HTMLCanvasElement} sources - the canvases used by the draw function
-     * @return {DrawResult}
-     */
-function result(draw, sources) {
-    const canvas = draw.apply(null, sources);
-    return {
-        canvas,
-        sources
-    };
+/**
+ * Return whether the browser can decode and draw inside a worker
+ *
+ * @return {Boolean}
+ */
+function workerSupported() {
+    return typeof (Worker) !== 'undefined' && typeof (OffscreenCanvas) !== 'undefined' &&
+        typeof (createImageBitmap) === 'function' && typeof (Blob) !== 'undefined';
 }
 
-// ** Export Watermark ** //
-
 /**
- * A configuration type for the watermark function
+ * Reject every request waiting for a worker that failed, and drop the
+ * worker so the next request starts a new one
  *
- * @typedef {Object} Options
- * @property {Function} init - an initialization function that is given Image objects before loading (only applies if resources is a collection of urls)
- * @property {Number} poolSize - number of canvas elements available for drawing,
- * @property {CanvasPool} pool - the pool used. If provided, poolSize will be ignored
+ * @param {String} url
+ * @param {String} message
  */
+function workerFailed(url, message) {
+    const worker = workers[url];
+    delete workers[url];
+    worker && worker.terminate();
+
+    Object.keys(pending).forEach(id => {
+        const request = pending[id];
+        if (request.url === url) {
+            delete pending[id];
+            request.reject(new WatermarkError(WatermarkError.LOAD, `The watermark worker failed: ${message}`));
+        }
+    });
+}
 
 /**
- * @constant
- * @type {Options}
+ * Return the worker running the given script, starting it if needed
+ *
+ * @param {String} url
+ * @return {Worker}
  */
-const defaults = {
-    init: () => {},
+function getWorker(url) {
+    if (!workers[url]) {
+        workers[url] = new Worker(url);
+        // a missing script, a failing importScripts or an uncaught error in the worker
+        workers[url].onerror = event => {
+            event.preventDefault && event.preventDefault();
+            workerFailed(url, event.message || 'the script could not be run');
+        };
+        workers[url].onmessageerror = () => workerFailed(url, 'a message could not be read');
+        workers[url].onmessage = event => {
+            const {id, blob, error, stage} = event.data;
+            const request = pending[id];
+            if (stage) {
+                // the stages of the work in the worker, reported before its result
+                request && progress(request.opts, stage.stage, stage);
+                return;
+            }
+            delete pending[id];
+            request && (error ?
+                request.reject(new WatermarkError(error.type, error.message, request.resources[error.index], error.index)) :
+                request.resolve(blob));
+        };
+    }
+    return workers[url];
 }
 
 /**
- * Merge the given options with the defaults
+ * Draw and encode in a worker. This is only possible for draw functions
+ * made by the style functions, which can be rebuilt inside the worker, and
+ * for url, File and Blob resources. A fallback or init function can not
+ * be sent to the worker, so the work is then done on the main thread
  *
- * @param {Options} options
- * @return {Options}
+ * @param {Array} resources
+ * @param {Options} opts
+ * @param {Function} draw
+ * @param {Output} output
+ * @return {Promise|null} - evaluates to a Blob, null if the work can not be done in a worker
  */
-function mergeOptions(options) {
-    return extend(clone(defaults), options);
+function drawInWorker(resources, opts, draw, output) {
+    const movable = resource => typeof (resource) === 'string' || resource instanceof Blob;
+    const local = opts.fallback || (typeof (opts.init) === 'function' && opts.init !== defaults.init);
+    if (!opts.worker || local || !workerSupported() || !draw.spec || !resources.every(movable)) {
+        return null;
+    }
+
+    const id = ++requests;
+    const url = typeof (opts.worker) === 'string' ? opts.worker : workerUrl;
+    const message = {
+        id,
+        spec: draw.spec,
+        resources: resources.map(resource => typeof (resource) === 'string' ?
+            new URL(resource, location.href).href : resource),
+        options: {
+            type: output.type,
+            quality: output.quality,
+            metadata: output.metadata,
+            timeout: opts.timeout,
+            orientation: opts.orientation
+        }
+    };
+
+    try {
+        getWorker(url).postMessage(message);
+    } catch (e) {
+        return null;
+    }
+
+    const answer = new Promise((resolve, reject) => pending[id] = {resolve, reject, resources, url, opts});
+    return abortable(answer, opts.signal)
+        .catch(error => {
+            delete pending[id];
+            throw error;
+        });
 }
 
 /**
- * Release canvases from a draw result for reuse. Returns
- * the dataURL from the result's canvas
+ * Read a Blob as a data url
  *
- * @param {DrawResult} result
- * @param {CanvasPool} pool
- * @return  {String}
+ * @param {Blob} blob
+ * @return {Promise}
  */
-function release(result, pool) {
-    const {
-        canvas, sources
-    } = result;
-    const dataURL = mapToDataUrl(canvas);
-    sources.forEach(pool.release);
-    return dataURL;
+function blobToDataUrl(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new WatermarkError(WatermarkError.LOAD, 'Could not read blob'));
+        reader.readAsDataURL(blob);
+    });
 }
 
 /**
@@ -631,7 +3154,56 @@ function release(result, pool) {
  */
 WatermarkConfig.watermark = function (resources, options = {}, promise = null) {
     const opts = mergeOptions(options);
-    promise || (promise = load(resources, opts.init));
+    opts.source || (opts.source = resources[0]);
+    opts.type || (opts.type = sourceType(opts.source));
+
+    // with a worker, resources are only loaded here if the chain can not be drawn in the worker
+    const first = !promise;
+    // the canvas drawn by the dataUrl call that made this chain, see render()
+    const drawn = promise && promise.drawn;
+    const images = () => promise || (promise = abortable(load(resources, opts), opts.signal));
+    promise && (promise = abortable(promise, opts.signal));
+    opts.worker || opts.animated || images();
+
+    /**
+     * Return the output encoding for a single call
+     *
+     * @param {Output} output - overrides the type, quality and metadata of the options
+     * @return {Output}
+     */
+    const format = output => extend({
+        type: opts.type,
+        quality: opts.quality,
+        metadata: opts.metadata,
+        source: opts.source,
+        // a backend applying the orientation while decoding leaves nothing to ignore
+        upright: opts.orientation !== 'ignore' || backend.appliesOrientation()
+    }, output || {});
+
+    /**
+     * Keep a copy of a drawn canvas when render() was called on the chain
+     * drawing it, so render() does not decode the data url again
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} handoff - wanted is set by render(), canvas is set here
+     * @return {HTMLCanvasElement}
+     */
+    const remember = (canvas, handoff) => {
+        handoff.wanted && (handoff.canvas = copyCanvas(canvas));
+        return canvas;
+    };
+
+    /**
+     * Draw on every frame of an animated target, or the still image
+     *
+     * @param {Function} draw
+     * @param {Function} encode - given the bytes of the animated GIF, returns the output
+     * @param {Function} still - returns a promise for the output of a target that is not animated
+     * @return {Promise}
+     */
+    const animate = (draw, encode, still) => first && opts.animated ?
+        drawAnimation(resources, opts, images, draw).then(bytes => bytes ? encode(bytes) : still()) :
+        still();
 
     return {
         /**
@@ -639,15 +3211,19 @@ WatermarkConfig.watermark = function (resources, options = {}, promise = null) {
          * function is given all images as canvas elements in order
          *
          * @param {Function} draw
+         * @param {Output} output - optional type and quality of the data url
          * @return {Object}
          */
-        dataUrl(draw) {
-                const promise = this
-                    .then(images => mapToCanvas(images, shared))
-                    .then(canvases => result(draw, canvases))
-                    .then(result => release(result, shared));
-
-                return Watermark.watermark(resources, opts, promise);
+        dataUrl(draw, output) {
+                const handoff = {wanted: false, canvas: null};
+                const promise = animate(draw, bytes => bytesToDataUrl(bytes, 'image/gif'), () => {
+                    const inWorker = first && drawInWorker(resources, opts, draw, format(output));
+                    return inWorker ? inWorker.then(blobToDataUrl) : render(this, draw, poolFor(opts),
+                        canvas => encodeDataUrl(remember(canvas, handoff), format(output)), resources, opts);
+                });
+
+                promise.drawn = handoff;
+                return WatermarkConfig.watermark(resources, opts, promise);
             },
 
             /**
@@ -659,9 +3235,49 @@ WatermarkConfig.watermark = function (resources, options = {}, promise = null) {
              */
             load(resources, init) {
                 const promise = this
-                    .then(resource => load([resource].concat(resources), init));
+                    .then(resource => load([resource].concat(resources), extend(clone(opts), {init})));
+
+                return WatermarkConfig.watermark(resources, opts, promise);
+            },
+
+            /**
+             * Resize the target before it is drawn
+             *
+             * @param {ResizeOptions} options
+             * @return {Object}
+             */
+            resize(options) {
+                const promise = this
+                    .then(transformTarget(source => resizeCanvas(source, options || {})));
+
+                return WatermarkConfig.watermark(resources, opts, promise);
+            },
+
+            /**
+             * Crop the target before it is drawn
+             *
+             * @param {Object} rect - x, y, width and height in px or percentages of the target
+             * @return {Object}
+             */
+            crop(rect) {
+                const promise = this
+                    .then(transformTarget(source => cropCanvas(source, rect || {})));
+
+                return WatermarkConfig.watermark(resources, opts, promise);
+            },
+
+            /**
+             * Add space around the target before it is drawn
+             *
+             * @param {Number|Object} padding - px on every side, or top, right, bottom and left
+             * @param {String} color - fill style of the added space, transparent when not given
+             * @return {Object}
+             */
+            pad(padding, color) {
+                const promise = this
+                    .then(transformTarget(source => padCanvas(source, padding, color)));
 
-                return Watermark.watermark(resources, opts, promise);
+                return WatermarkConfig.watermark(resources, opts, promise);
             },
 
             /**
@@ -671,36 +3287,45 @@ WatermarkConfig.watermark = function (resources, options = {}, promise = null) {
              * @return {Object}
              */
             render() {
-                const promise = this
-                    .then(resource => load([resource]));
-
-                return Watermark.watermark(resources, opts, promise);
+                drawn && (drawn.wanted = true);
+                const promise = this.then(resource => {
+                    const canvas = drawn && drawn.canvas;
+                    drawn && (drawn.canvas = null);
+                    return canvas ? [canvas] : load([resource], {timeout: opts.timeout, orientation: 'ignore'});
+                });
+
+                return WatermarkConfig.watermark(resources, opts, promise);
             },
 
             /**
              * Convert the watermark into a blob
              *
              * @param {Function} draw
+             * @param {Output} output - optional type and quality of the blob
              * @return {Object}
              */
-            blob(draw) {
-                const promise = this.dataUrl(draw)
-                    .then(mapToBlob);
-
-                return Watermark.watermark(resources, opts, promise);
+            blob(draw, output) {
+                const promise = animate(draw, bytes => backend.toBlob(bytesToDataUrl(bytes, 'image/gif')), () => {
+                    const inWorker = first && drawInWorker(resources, opts, draw, format(output));
+                    return inWorker || render(this, draw, poolFor(opts),
+                        canvas => encodeBlob(canvas, format(output)), resources, opts);
+                });
+
+                return WatermarkConfig.watermark(resources, opts, promise);
             },
 
             /**
              * Convert the watermark into an image using the given draw function
              *
              * @param {Function} draw
+             * @param {Output} output - optional type and quality of the image
              * @return {Object}
              */
-            image(draw) {
-                const promise = this.dataUrl(draw)
-                    .then(createImage);
+            image(draw, output) {
+                const promise = this.dataUrl(draw, output)
+                    .then(url => backend.createImage(url));
 
-                return Watermark.watermark(resources, opts, promise);
+                return WatermarkConfig.watermark(resources, opts, promise);
             },
 
             /**
@@ -709,18 +3334,292 @@ WatermarkConfig.watermark = function (resources, options = {}, promise = null) {
              * @return {Promise}
              */
             then(...funcs) {
+                const promise = images();
                 return promise.then.apply(promise, funcs);
+            },
+
+            /**
+             * Handle a failure of the chain
+             *
+             * @param {Function} onRejected
+             * @return {Promise}
+             */
+            catch(onRejected) {
+                return this.then(undefined, onRejected);
+            },
+
+            /**
+             * Run a function once the chain settles, keeping its outcome
+             *
+             * @param {Function} onFinally
+             * @return {Promise}
+             */
+            finally(onFinally) {
+                return this.then(
+                    value => Promise.resolve(onFinally()).then(() => value),
+                    error => Promise.resolve(onFinally()).then(() => Promise.reject(error))
+                );
             }
     };
 };
 
+/**
+ * Wrap the style functions of a family so the draw functions they return
+ * describe how they were made. The description lets a worker rebuild them
+ *
+ * @param {String} family - the name of the family
+ * @param {Object} styles
+ * @return {Object}
+ */
+function describable(family, styles) {
+    Object.keys(styles).forEach(style => {
+        const make = styles[style];
+        styles[style] = function (...args) {
+            const made = make.apply(this, args);
+            typeof (made) === 'function' && (made.spec = {family, style, args});
+            return made;
+        };
+    });
+    return styles;
+}
+
+/**
+ * Font and option helpers shared with the client files of the package. Not
+ * exported, like Exif and Metadata
+ */
+WatermarkUtils = {fontSize, resizeFont, clone, extend};
+
 /**
  * Style functions
  */
-WatermarkConfig.watermark.image = image;
-Watermark.watermark.text = text;
+WatermarkConfig.watermark.image = describable('image', image);
+WatermarkConfig.watermark.text = describable('text', text);
+WatermarkConfig.watermark.invisible = describable('invisible', invisible);
+WatermarkConfig.watermark.qr = describable('qr', qr);
+
+/**
+ * Layers and templates
+ */
+WatermarkConfig.watermark.compose = compose;
+WatermarkConfig.watermark.fromTemplate = fromTemplate;
+WatermarkConfig.watermark.validateTemplate = validateTemplate;
+
+/**
+ * Errors raised by the watermark chain
+ */
+WatermarkConfig.watermark.WatermarkError = WatermarkError;
+
+/**
+ * A configuration type for batches, extending Options
+ *
+ * @typedef {Object} BatchOptions
+ * @property {Number} concurrency - number of targets drawn at the same time (default 2)
+ * @property {String} as - 'blob', 'dataUrl' or 'image', the output of every target (default 'blob')
+ * @property {Function} onProgress - called after every target, see the progress event
+ */
+
+/**
+ * The outcome for a single target of a batch
+ *
+ * @typedef {Object} BatchResult
+ * @property {String|File|Image} target
+ * @property {Blob|String|Image} output - set when the target succeeded
+ * @property {Error} error - set when the target failed or the batch was cancelled before it
+ */
+
+/**
+ * Watermark every target with the same marks. Marks are loaded once, targets
+ * are loaded as they are drawn so only a few are decoded at any time
+ *
+ * The returned object delegates to a promise evaluating to a BatchResult for every
+ * target in order. It emits a progress event given the done and total counts and the
+ * BatchResult of the target that finished
+ *
+ * @param {Array} targets - a collection of urls, File objects, or Image objects
+ * @param {Array} marks - the watermarks, given to draw after each target
+ * @param {Function} draw
+ * @param {BatchOptions} options
+ * @return {Object}
+ */
+WatermarkConfig.watermark.batch = function (targets, marks, draw, options = {}) {
+    const opts = mergeOptions(options);
+    const concurrency = Math.max(1, opts.concurrency || 2);
+    const method = opts.as || 'blob';
+    const listeners = {progress: opts.onProgress ? [opts.onProgress] : []};
+    const results = [];
+    // the stage events of loading are not batch progress
+    const loadOpts = extend(clone(opts), {onProgress: undefined});
+    // the marks follow the target, so they get the fallback and the asset cache
+    const markImages = load(marks, loadOpts, 1);
+    let cancelled = false;
+    let started = 0;
+    let done = 0;
+
+    const cancel = () => cancelled = true;
+
+    markImages.catch(() => {});
+    opts.signal && opts.signal.addEventListener('abort', cancel, {once: true});
+
+    /**
+     * Watermark the target at the given index
+     *
+     * @param {Number} index
+     * @return {Promise}
+     */
+    const run = index => {
+        const target = targets[index];
+        const images = Promise.all([loadOne(target, 0, loadOpts), markImages])
+            .then(([image, images]) => [image].concat(images));
+        const chain = WatermarkConfig.watermark([target].concat(marks),
+            extend(clone(options), {source: target, onProgress: undefined}), images);
+
+        return chain[method](draw).then(
+            output => ({target, output}),
+            error => ({target, error})
+        ).then(outcome => {
+            results[index] = outcome;
+            done++;
+            const progress = {done, total: targets.length, result: outcome};
+            listeners.progress.forEach(listener => listener(progress));
+        });
+    };
+
+    /**
+     * Keep drawing targets until there are none left or the batch is cancelled
+     *
+     * @return {Promise}
+     */
+    const next = () => {
+        if (cancelled || started >= targets.length) {
+            return Promise.resolve();
+        }
+        return run(started++).then(next);
+    };
+
+    const workers = [];
+    for (let i = 0; i < concurrency; i++) {
+        workers.push(next());
+    }
+
+    const promise = Promise.all(workers).then(() => {
+        for (let i = 0; i < targets.length; i++) {
+            results[i] || (results[i] = {
+                target: targets[i],
+                error: new WatermarkError(WatermarkError.ABORT, 'The batch was cancelled', targets[i], i)
+            });
+        }
+        opts.signal && opts.signal.removeEventListener('abort', cancel);
+        return results;
+    });
+
+    return {
+        /**
+         * Listen to an event of the batch
+         *
+         * @param {String} event - 'progress'
+         * @param {Function} listener
+         * @return {Object}
+         */
+        on(event, listener) {
+            (listeners[event] || (listeners[event] = [])).push(listener);
+            return this;
+        },
+
+        /**
+         * Stop starting new targets. Targets already being drawn finish, the
+         * rest get an abort error
+         *
+         * @return {Object}
+         */
+        cancel() {
+            cancelled = true;
+            return this;
+        },
+
+        /**
+         * Delegate to the batch promise
+         *
+         * @return {Promise}
+         */
+        then(...funcs) {
+            return promise.then.apply(promise, funcs);
+        }
+    };
+};
+
+/**
+ * Replace the backend used for drawing. Any function not given by
+ * the new backend is kept from the current one
+ *
+ * @param {Backend} impl
+ * @return {Backend} - the backend now in use
+ */
+WatermarkConfig.watermark.setBackend = function (impl) {
+    clearPools();
+    assets.clear();
+    backend = extend(clone(backend), impl);
+    return backend;
+};
+
+/**
+ * Register a loader for a type of resource, see registerLoader
+ */
+WatermarkConfig.watermark.registerLoader = registerLoader;
+
+/**
+ * Create a pool of canvases to pass as Options.pool
+ *
+ * @param {PoolOptions} options
+ * @return {CanvasPool}
+ */
+WatermarkConfig.watermark.pool = options => CanvasPool(options);
+
+/**
+ * Return the stats of the pool used when no pool is given
+ *
+ * @return {Object}
+ */
+WatermarkConfig.watermark.stats = () => shared.stats;
+
+/**
+ * Decode resources ahead of time and keep them in the asset cache, so
+ * watermark calls using them do not load them again
+ *
+ * @param {Array} resources - urls, Files or any other resource
+ * @param {Options} options - the loading options, uses init, timeout and orientation
+ * @return {Promise} - evaluates to the decoded resources
+ */
+WatermarkConfig.watermark.preload = function (resources, options) {
+    const opts = mergeOptions(options || {});
+    const mode = cacheMode(opts);
+    return Promise.all(resources.map((resource, index) => assets.get(resource, mode) ||
+        assets.set(resource, mode, loadOne(resource, index, opts))));
+};
+
+/**
+ * Replace the asset cache with an empty one of the given limits
+ *
+ * @param {CacheOptions} options
+ * @return {AssetCache}
+ */
+WatermarkConfig.watermark.cache = function (options) {
+    assets.clear();
+    assets = AssetCache(options);
+    return assets;
+};
+
+/**
+ * Empty the shared pool and the pools made for Options.poolSize
+ */
+function clearPools() {
+    shared.clear();
+    Object.keys(sized).forEach(size => sized[size].clear());
+}
 
 /**
- * Clean up all canvas references
+ * Clean up all canvas references and cached resources
  */
-WatermarkConfig.watermark.destroy = () => shared.clear();
\ No newline at end of file
+WatermarkConfig.watermark.destroy = () => {
+    clearPools();
+    assets.clear();
+};
\ No newline at end of file
@@ -13,10 +13,17 @@ Package.describe({
 
 Package.onUse(function (api) {
     api.versionsFrom('METEOR@1.0');
-    api.use('jquery', 'client');
+    api.use(['jquery', 'templating', 'reactive-var'], 'client');
     api.use(['ecmascript@0.1.6',
-             'ecmascript-runtime@0.2.6'], 'client');
-    api.addFiles('lib/watermark.js');
+             'ecmascript-runtime@0.2.6']);
+    api.addFiles(['lib/exif.js', 'lib/metadata.js', 'lib/gif.js', 'lib/qr.js', 'lib/watermark.js']);
+    api.use('webapp', 'server');
+    api.addFiles(['server/backend.js', 'server/route.js'], 'server');
+    api.addFiles(['client/editor.html', 'client/editor.js', 'client/upload.js'], 'client');
 
-    api.export('WatermarkConfig', 'client');
+    // served as is for Options.worker
+    api.addAssets(['lib/exif.js', 'lib/metadata.js', 'lib/gif.js', 'lib/qr.js', 'lib/watermark.js', 'worker/worker.js'],
+                  'client');
+
+    api.export('WatermarkConfig');
 });
\ No newline at end of file
@@ -0,0 +1,220 @@
+const fs = Npm.require('fs');
+const http = Npm.require('http');
+const https = Npm.require('https');
+const resolveUrl = Npm.require('url').resolve;
+
+const WatermarkError = WatermarkConfig.watermark.WatermarkError;
+const remote = /^https?:\/\//;
+const inline = /^data:/;
+
+/**
+ * The most redirects followed when fetching a url
+ *
+ * @constant
+ * @type {Number}
+ */
+const MAX_REDIRECTS = 5;
+
+/**
+ * The Image class and canvas factory of the node-canvas module given to
+ * useNodeCanvas
+ */
+let Image = null;
+let createNodeCanvas = null;
+
+/**
+ * Create an image from a Buffer or data url, resolving once it has loaded
+ *
+ * @param {Buffer|String} src
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadSource(src, init) {
+    const img = new Image();
+    (typeof (init) === 'function') && init(img);
+    return new Promise((resolve, reject) => {
+        img.onload = () => resolve(img);
+        img.onerror = () => reject(new WatermarkError(WatermarkError.DECODE, 'Resource is not a valid image'));
+        img.src = src;
+    });
+}
+
+/**
+ * Download a url into a Buffer, following redirects
+ *
+ * @param {String} url
+ * @param {Number} redirects - the redirects followed so far
+ * @return {Promise}
+ */
+function fetchUrl(url, redirects = 0) {
+    const client = url.indexOf('https:') === 0 ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, res => {
+            const status = res.statusCode;
+            if (status >= 300 && status < 400 && res.headers.location) {
+                res.resume();
+                return redirects < MAX_REDIRECTS ?
+                    resolve(fetchUrl(resolveUrl(url, res.headers.location), redirects + 1)) :
+                    reject(new WatermarkError(WatermarkError.LOAD, `Could not fetch ${url}: too many redirects`));
+            }
+            if (status < 200 || status >= 300) {
+                res.resume();
+                return reject(new WatermarkError(WatermarkError.LOAD, `Could not fetch ${url}: ${status}`));
+            }
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve(Buffer.concat(chunks)));
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Read a file from disk into a Buffer
+ *
+ * @param {String} path
+ * @return {Promise}
+ */
+function readFile(path) {
+    return new Promise((resolve, reject) => {
+        fs.readFile(path, (err, data) => err ? reject(err) : resolve(data));
+    });
+}
+
+/**
+ * Load an image by its url, data url or file path
+ *
+ * @param {String} src
+ * @param {Function} init - an optional image initializer
+ * @return {Promise}
+ */
+function loadString(src, init) {
+    if (inline.test(src)) {
+        return loadSource(src, init);
+    }
+
+    const read = remote.test(src) ? fetchUrl : readFile;
+    return read(src).then(buffer => loadSource(buffer, init));
+}
+
+/**
+ * Read the whole of a url, data url, file path or Buffer
+ *
+ * @param {String|Buffer} resource
+ * @return {Promise} - evaluates to a Buffer, or null for resources that are not encoded images
+ */
+function readBytes(resource) {
+    if (typeof (resource) !== 'string') {
+        return Promise.resolve(Buffer.isBuffer(resource) ? resource : null);
+    }
+
+    if (inline.test(resource)) {
+        return Promise.resolve(toBuffer(resource));
+    }
+
+    return remote.test(resource) ? fetchUrl(resource) : readFile(resource);
+}
+
+/**
+ * Given a resource, return an appropriate loading function for it's type
+ *
+ * @param {String|Buffer|Image} resource
+ * @return {Function}
+ */
+function getLoader(resource) {
+    if (typeof (resource) === 'string') {
+        return loadString;
+    }
+
+    if (resource instanceof Image) {
+        return img => img;
+    }
+
+    return loadSource;
+}
+
+/**
+ * Create a new image from a data url
+ *
+ * @param {String} url
+ * @return {Image}
+ */
+function createImage(url) {
+    const img = new Image();
+    img.src = url;
+    return img;
+}
+
+/**
+ * Turn a data url into a Buffer
+ *
+ * @param {String} dataUrl
+ * @return {Buffer}
+ */
+function toBuffer(dataUrl) {
+    return Buffer.from(dataUrl.split(',')[1], 'base64');
+}
+
+/**
+ * Encode a canvas to a data url. node-canvas only encodes PNG and JPEG,
+ * and JPEG only asynchronously
+ *
+ * @param {Canvas} canvas
+ * @param {String} type - the MIME type of the image
+ * @param {Number} quality - between 0 and 1, for JPEG
+ * @return {String|Promise}
+ */
+function toDataUrl(canvas, type, quality) {
+    if (type !== 'image/jpeg') {
+        return canvas.toDataURL('image/png');
+    }
+
+    return new Promise((resolve, reject) => {
+        canvas.toDataURL(type, quality, (err, url) => err ? reject(err) : resolve(url));
+    });
+}
+
+/**
+ * Encode a canvas to a Buffer
+ *
+ * @param {Canvas} canvas
+ * @param {String} type - the MIME type of the image
+ * @param {Number} quality - between 0 and 1, for JPEG
+ * @return {Promise}
+ */
+function canvasToBuffer(canvas, type, quality) {
+    if (type !== 'image/jpeg') {
+        return Promise.resolve(canvas.toBuffer());
+    }
+
+    return toDataUrl(canvas, type, quality).then(toBuffer);
+}
+
+/**
+ * Draw with node-canvas on the server. The package does not depend on
+ * node-canvas, which needs Cairo to build; apps drawing on the server
+ * install it and pass the module, either the 1.x or the 2.x API
+ *
+ * @param {Object} canvas - the module, require('canvas')
+ * @return {Backend} - the backend now in use
+ */
+function useNodeCanvas(canvas) {
+    Image = canvas.Image;
+    createNodeCanvas = typeof (canvas.createCanvas) === 'function' ?
+        (width, height) => canvas.createCanvas(width, height) :
+        (width, height) => new canvas(width, height);
+
+    return WatermarkConfig.watermark.setBackend({
+        createCanvas: () => createNodeCanvas(1, 1),
+        createImage,
+        getLoader,
+        toBlob: toBuffer,
+        toDataUrl,
+        canvasToBlob: canvasToBuffer,
+        appliesOrientation: () => false,
+        atob: data => Buffer.from(data, 'base64').toString('binary'),
+        btoa: data => Buffer.from(data, 'binary').toString('base64'),
+        readBytes
+    });
+}
+
+WatermarkConfig.watermark.useNodeCanvas = useNodeCanvas;
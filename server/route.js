@@ -0,0 +1,396 @@
+const crypto = Npm.require('crypto');
+const fs = Npm.require('fs');
+const path = Npm.require('path');
+const parseUrl = Npm.require('url').parse;
+
+const WatermarkError = WatermarkConfig.watermark.WatermarkError;
+
+/**
+ * The marks a route applies
+ *
+ * @typedef {Object} Preset
+ * @property {String|Template} template - see WatermarkConfig.watermark.fromTemplate, given the query as variables
+ * @property {Function} draw - a draw function used instead of a template
+ * @property {Array} marks - the resources drawn after the source
+ * @property {Options} options - the loading and output options
+ * @property {String} version - changed along with a draw function, so cached results drawn by the former one
+ * are not served. Templates, draw specs and marks are compared by themselves
+ */
+
+/**
+ * A configuration type for watermark routes
+ *
+ * @typedef {Object} RouteOptions
+ * @property {String} path - where the route is mounted (default '/watermark')
+ * @property {Object} presets - Presets by name
+ * @property {String} root - the directory sources are read from
+ * @property {Function} resolve - given the source and the request, returns the resource to draw on or a
+ * promise for it, instead of a file under root
+ * @property {Function} authorize - given the request, the requested preset name and the source, returns the name
+ * of the preset the requester gets, or false to refuse. May return a promise
+ * @property {Object|Boolean} cache - {memory: bytes} or {disk: directory, maxBytes}, false for none
+ * (default {memory: 64 MB}). The least recently used results are dropped beyond the byte limit, 1 GB on disk
+ * unless maxBytes is given
+ * @property {Number} maxAge - seconds clients may keep a response (default 3600)
+ * @property {Function} onError - given the error and the request when a render fails, as the response only
+ * carries a generic message
+ */
+
+/**
+ * @constant
+ * @type {Object}
+ */
+const cacheLimits = {
+    memory: 64 * 1024 * 1024,
+    disk: 1024 * 1024 * 1024
+};
+
+/**
+ * Keep track of the sizes of cached results, least recently used first,
+ * and drop the oldest ones beyond a number of bytes
+ *
+ * @param {Number} maxBytes
+ * @param {Function} drop - given the key of a dropped result
+ * @return {Object}
+ */
+function sizes(maxBytes, drop) {
+    const entries = new Map();
+    let bytes = 0;
+    return {
+        has: key => entries.has(key),
+        touch(key) {
+            const size = entries.get(key);
+            entries.delete(key);
+            entries.set(key, size);
+        },
+        add(key, size) {
+            this.remove(key);
+            entries.set(key, size);
+            bytes += size;
+            while (bytes > maxBytes) {
+                const [oldest, oldestSize] = entries.entries().next().value;
+                entries.delete(oldest);
+                bytes -= oldestSize;
+                drop(oldest);
+            }
+        },
+        remove(key) {
+            entries.has(key) && (bytes -= entries.get(key));
+            entries.delete(key);
+        }
+    };
+}
+
+/**
+ * Keep the most recently used results in memory
+ *
+ * @param {Number} maxBytes - the most bytes of results kept
+ * @return {Object}
+ */
+function memoryCache(maxBytes) {
+    const entries = new Map();
+    const index = sizes(maxBytes, key => entries.delete(key));
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            entry && index.touch(key);
+            return Promise.resolve(entry || null);
+        },
+        set(key, entry) {
+            entries.set(key, entry);
+            index.add(key, entry.body.length);
+            return Promise.resolve();
+        }
+    };
+}
+
+/**
+ * Keep the most recently used results as files in a directory. Files
+ * left by an earlier run count towards the limit, oldest first
+ *
+ * @param {String} dir
+ * @param {Number} maxBytes - the most bytes of results kept
+ * @return {Object}
+ */
+function diskCache(dir, maxBytes) {
+    fs.existsSync(dir) || fs.mkdirSync(dir);
+    const file = key => path.join(dir, key);
+    const index = sizes(maxBytes, key => fs.unlink(file(key), () => {}));
+
+    fs.readdirSync(dir)
+        .filter(name => /^[0-9a-f]{32}$/.test(name))
+        .map(name => ({name, stats: fs.statSync(file(name))}))
+        .sort((a, b) => a.stats.mtime - b.stats.mtime)
+        .forEach(({name, stats}) => index.add(name, stats.size));
+
+    return {
+        get(key) {
+            if (!index.has(key)) {
+                return Promise.resolve(null);
+            }
+            return new Promise(resolve => fs.readFile(file(key), (err, body) => {
+                if (err) {
+                    index.remove(key);
+                    return resolve(null);
+                }
+                index.touch(key);
+                fs.stat(file(key), (err, stats) => resolve(err ? null : {body, modified: stats.mtime}));
+            }));
+        },
+        set(key, entry) {
+            return new Promise(resolve => fs.writeFile(file(key), entry.body, err => {
+                err || index.add(key, entry.body.length);
+                resolve();
+            }));
+        }
+    };
+}
+
+/**
+ * Return the MIME type of an encoded image
+ *
+ * @param {Buffer} body
+ * @return {String}
+ */
+function contentType(body) {
+    if (body[0] === 0xFF && body[1] === 0xD8) {
+        return 'image/jpeg';
+    }
+    if (body[0] === 0x47 && body[1] === 0x49 && body[2] === 0x46) {
+        return 'image/gif';
+    }
+    return 'image/png';
+}
+
+/**
+ * Return the HTTP status for a failed render
+ *
+ * @param {Error} error
+ * @return {Number}
+ */
+function statusOf(error) {
+    if (error instanceof WatermarkError) {
+        return {load: 404, decode: 415, template: 400}[error.type] || 500;
+    }
+    return error && error.code === 'ENOENT' ? 404 : 500;
+}
+
+/**
+ * The messages sent for failed renders. Errors may name server paths, so
+ * they are only given to RouteOptions.onError
+ *
+ * @constant
+ * @type {Object}
+ */
+const statusMessages = {
+    400: 'Invalid watermark parameters',
+    404: 'Not found',
+    415: 'Unsupported image',
+    500: 'Could not watermark the image'
+};
+
+/**
+ * Return the names of the template variables a preset uses, so other
+ * query values neither reach the template nor vary the cache key
+ *
+ * @param {Preset} preset
+ * @return {String[]}
+ */
+function variablesOf(preset) {
+    if (!preset.template) {
+        return [];
+    }
+
+    const names = [];
+    const layers = WatermarkConfig.watermark.validateTemplate(preset.template).layers;
+    JSON.stringify(layers).replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+        names.indexOf(name) === -1 && names.push(name);
+        return match;
+    });
+    return names;
+}
+
+/**
+ * Return a hash of what a preset draws, so a changed preset misses the
+ * results cached for the former one
+ *
+ * @param {Preset} preset
+ * @return {String}
+ */
+function definitionOf(preset) {
+    const template = preset.template ? WatermarkConfig.watermark.validateTemplate(preset.template) : null;
+    const draw = preset.draw ? preset.draw.spec || String(preset.draw) : null;
+    return crypto.createHash('md5')
+        .update(JSON.stringify([template, draw, preset.version, preset.marks, preset.options]))
+        .digest('hex');
+}
+
+/**
+ * Return the resource under the root directory a source names, refusing
+ * sources that lead outside of it
+ *
+ * @param {String} root
+ * @param {String} source
+ * @return {String|null}
+ */
+function underRoot(root, source) {
+    const base = path.resolve(root);
+    const file = path.resolve(base, source);
+    return file.indexOf(base + path.sep) === 0 ? file : null;
+}
+
+/**
+ * Return the modification time of a file, or null for other resources
+ *
+ * @param {Mixed} resource
+ * @return {Promise}
+ */
+function modified(resource) {
+    if (typeof (resource) !== 'string' || /^(https?|data):/.test(resource)) {
+        return Promise.resolve(null);
+    }
+    return new Promise((resolve, reject) => {
+        fs.stat(resource, (err, stats) => err ? reject(err) : resolve(stats.mtime));
+    });
+}
+
+/**
+ * Draw a source with a preset
+ *
+ * @param {Preset} preset
+ * @param {Mixed} resource
+ * @param {Object} vars
+ * @return {Promise} - evaluates to a Buffer
+ */
+function draw(preset, resource, vars) {
+    const fn = preset.draw || WatermarkConfig.watermark.fromTemplate(preset.template, vars);
+    return WatermarkConfig.watermark([resource].concat(preset.marks || []), preset.options || {})
+        .blob(fn);
+}
+
+/**
+ * Serve watermarked images at path/:preset/:source, for example
+ * /watermark/customer/photos/beach.jpg?username=jane. Query values of the
+ * variables the preset's template uses become template variables, others are
+ * ignored. Responses carry an ETag and Last-Modified and are cached by both.
+ * Templates are checked when the route is registered
+ *
+ * @param {RouteOptions} options
+ * @return {Function} - the connect handler, already registered on WebApp.connectHandlers
+ */
+function serve(options) {
+    if (!options.root && !options.resolve) {
+        throw new Error('A watermark route needs a root directory or a resolve function');
+    }
+
+    const prefix = options.path || '/watermark';
+    const presets = options.presets || {};
+    const maxAge = options.maxAge === undefined ? 3600 : options.maxAge;
+    const authorize = options.authorize || ((req, preset) => preset);
+    const resolve = options.resolve || (source => underRoot(options.root, source));
+    const settings = options.cache === undefined ? {} : options.cache;
+    const cache = !settings ? null : settings.disk ?
+        diskCache(settings.disk, settings.maxBytes || cacheLimits.disk) :
+        memoryCache(settings.memory || cacheLimits.memory);
+    const onError = options.onError || (() => {});
+    const variables = {};
+    const definitions = {};
+    Object.keys(presets).forEach(name => {
+        variables[name] = variablesOf(presets[name]);
+        definitions[name] = definitionOf(presets[name]);
+    });
+
+    const handler = function (req, res, next) {
+        if (req.method !== 'GET' && req.method !== 'HEAD') {
+            return next();
+        }
+
+        const url = parseUrl(req.url, true);
+        const match = /^\/([^\/]+)\/(.+)$/.exec(url.pathname || '');
+        if (!match) {
+            return next();
+        }
+
+        const fail = (status, message) => {
+            res.writeHead(status, {'Content-Type': 'text/plain'});
+            res.end(message);
+        };
+
+        let requested, source;
+        try {
+            requested = decodeURIComponent(match[1]);
+            source = decodeURIComponent(match[2]);
+        } catch (error) {
+            return fail(400, 'Malformed path');
+        }
+
+        Promise.resolve(authorize(req, requested, source)).then(name => {
+            const preset = name && Object.prototype.hasOwnProperty.call(presets, name) && presets[name];
+            if (!preset) {
+                return fail(name ? 404 : 403, name ? 'Unknown preset' : 'Forbidden');
+            }
+
+            const vars = {};
+            variables[name].forEach(key => {
+                if (Object.prototype.hasOwnProperty.call(url.query, key)) {
+                    vars[key] = String(url.query[key]);
+                } else if (key === 'date') {
+                    vars.date = new Date().toISOString().slice(0, 10);
+                }
+            });
+
+            return Promise.resolve(resolve(source, req)).then(resource => {
+                if (!resource) {
+                    return fail(404, 'Not found');
+                }
+
+                // a mark that can not be read fails the render itself
+                const marks = (preset.marks || []).map(mark => modified(mark).catch(() => null));
+                return Promise.all([modified(resource)].concat(marks)).then(([time, ...markTimes]) => {
+                    const etag = '"' + crypto.createHash('md5')
+                        .update(JSON.stringify([name, definitions[name], source, time && time.getTime(),
+                            markTimes.map(markTime => markTime && markTime.getTime()), vars]))
+                        .digest('hex') + '"';
+
+                    const send = entry => {
+                        const latest = time && markTimes.reduce((a, b) => b && b > a ? b : a, time);
+                        const lastModified = (latest || entry.modified).toUTCString();
+                        const since = req.headers['if-modified-since'];
+                        const fresh = req.headers['if-none-match'] ? req.headers['if-none-match'] === etag :
+                            since && new Date(since) >= new Date(lastModified);
+                        const headers = {
+                            'ETag': etag,
+                            'Last-Modified': lastModified,
+                            'Cache-Control': `private, max-age=${maxAge}`
+                        };
+
+                        if (fresh) {
+                            res.writeHead(304, headers);
+                            return res.end();
+                        }
+                        headers['Content-Type'] = contentType(entry.body);
+                        headers['Content-Length'] = entry.body.length;
+                        res.writeHead(200, headers);
+                        res.end(req.method === 'HEAD' ? undefined : entry.body);
+                    };
+
+                    const key = etag.slice(1, -1);
+                    return (cache ? cache.get(key) : Promise.resolve(null)).then(cached => cached ? send(cached) :
+                        draw(preset, resource, vars).then(body => {
+                            const entry = {body, modified: new Date()};
+                            return (cache ? cache.set(key, entry) : Promise.resolve()).then(() => send(entry));
+                        }));
+                });
+            });
+        }).catch(error => {
+            const status = statusOf(error);
+            onError(error, req);
+            fail(status, statusMessages[status]);
+        });
+    };
+
+    WebApp.connectHandlers.use(prefix, handler);
+    return handler;
+}
+
+WatermarkConfig.watermark.serve = serve;
@@ -0,0 +1,87 @@
+/**
+ * Draws watermarks on an OffscreenCanvas, see Options.worker. This script is
+ * served as is, so it and the files it imports only run in browsers supporting
+ * OffscreenCanvas, all of which understand the syntax used by the package
+ */
+importScripts('../lib/exif.js', '../lib/metadata.js', '../lib/gif.js', '../lib/qr.js', '../lib/watermark.js');
+
+(function () {
+    const WatermarkError = WatermarkConfig.watermark.WatermarkError;
+
+    /**
+     * Decode a Blob
+     *
+     * @param {Blob} blob
+     * @return {Promise}
+     */
+    function loadBlob(blob) {
+        return createImageBitmap(blob)
+            .catch(() => Promise.reject(new WatermarkError(WatermarkError.DECODE, 'Resource is not a valid image')));
+    }
+
+    /**
+     * Fetch and decode an image by its url
+     *
+     * @param {String} url
+     * @return {Promise}
+     */
+    function loadUrl(url) {
+        return fetch(url)
+            .then(res => res.ok ? res.blob() : Promise.reject(
+                new WatermarkError(WatermarkError.LOAD, `Could not load ${url}: ${res.status}`)
+            ), () => Promise.reject(
+                new WatermarkError(WatermarkError.LOAD, `Could not load ${url}, it may not allow cross origin access`)
+            ))
+            .then(loadBlob);
+    }
+
+    /**
+     * Turn a data url into a Blob
+     *
+     * @param {String} dataUrl
+     * @return {Blob}
+     */
+    function toBlob(dataUrl) {
+        const [, type, data] = /^data:([^;]+);base64,(.*)$/.exec(dataUrl);
+        const binary = self.atob(data);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], {type});
+    }
+
+    WatermarkConfig.watermark.setBackend({
+        createCanvas: () => new OffscreenCanvas(1, 1),
+        createImage: url => loadBlob(toBlob(url)),
+        getLoader: resource => typeof (resource) === 'string' ? loadUrl : loadBlob,
+        toBlob,
+        toDataUrl: (canvas, type, quality) => canvas.convertToBlob({type, quality})
+            .then(blob => new FileReaderSync().readAsDataURL(blob)),
+        canvasToBlob: (canvas, type, quality) => canvas.convertToBlob({type, quality}),
+        appliesOrientation: () => true,
+        atob: data => self.atob(data),
+        btoa: data => self.btoa(data)
+    });
+
+    /**
+     * Rebuild the draw function from its description, draw and post back the
+     * stages of the work and the Blob
+     */
+    self.onmessage = event => {
+        const {id, spec, resources, options} = event.data;
+        const output = {type: options.type, quality: options.quality, metadata: options.metadata};
+        options.onProgress = stage => self.postMessage({id, stage});
+
+        new Promise(resolve => resolve(WatermarkConfig.watermark[spec.family][spec.style].apply(null, spec.args)))
+            .then(draw => WatermarkConfig.watermark(resources, options).blob(draw, output))
+            .then(blob => self.postMessage({id, blob}), error => self.postMessage({
+                id,
+                error: {
+                    type: error.type || WatermarkError.LOAD,
+                    message: error.message,
+                    index: error.index
+                }
+            }));
+    };
+})();